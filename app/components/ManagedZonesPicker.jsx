@@ -0,0 +1,222 @@
+import { useEffect, useMemo, useState } from "react";
+import { BlockStack, Box, Button, Checkbox, InlineStack, Text } from "@shopify/polaris";
+
+// Leaf = one selectable destination: a province, or a country without provinces.
+function leafKey(zoneId, countryCode, provinceCode = "") {
+  return `${zoneId}::${countryCode}::${provinceCode}`;
+}
+
+function countryLeafKeys(zoneId, country) {
+  const provinces = Array.isArray(country?.provinces) ? country.provinces : [];
+  if (!provinces.length) return [leafKey(zoneId, country.code)];
+  return provinces.map((p) => leafKey(zoneId, country.code, p.code));
+}
+
+function zoneLeafKeys(zone) {
+  return (zone?.countries || []).flatMap((c) => countryLeafKeys(zone.id, c));
+}
+
+/**
+ * managedZoneConfig (see lib/managedZones.server.js) -> Set of leaf keys
+ */
+function configToLeafKeys(config, zones) {
+  const keys = new Set();
+  const zonesById = new Map((zones || []).map((z) => [z.id, z]));
+
+  for (const entry of Array.isArray(config) ? config : []) {
+    const zoneId = typeof entry === "string" ? entry : entry?.zoneId;
+    const zone = zonesById.get(zoneId);
+    if (!zone) continue;
+
+    const countrySelections = typeof entry === "string" ? null : entry?.countries;
+    if (!Array.isArray(countrySelections)) {
+      zoneLeafKeys(zone).forEach((k) => keys.add(k));
+      continue;
+    }
+
+    for (const sel of countrySelections) {
+      const country = (zone.countries || []).find((c) => c.code === sel?.code);
+      if (!country) continue;
+      if (!Array.isArray(sel?.provinces) || !country.provinces?.length) {
+        countryLeafKeys(zoneId, country).forEach((k) => keys.add(k));
+        continue;
+      }
+      for (const code of sel.provinces) keys.add(leafKey(zoneId, country.code, code));
+    }
+  }
+  return keys;
+}
+
+/**
+ * Set of leaf keys -> compact managedZoneConfig (whole zone / whole country where possible)
+ */
+function leafKeysToConfig(keys, zones) {
+  const config = [];
+  for (const zone of zones || []) {
+    const all = zoneLeafKeys(zone);
+    const selected = all.filter((k) => keys.has(k));
+    if (!selected.length) continue;
+
+    if (selected.length === all.length) {
+      config.push({ zoneId: zone.id });
+      continue;
+    }
+
+    const countries = [];
+    for (const country of zone.countries || []) {
+      const leaves = countryLeafKeys(zone.id, country);
+      const picked = leaves.filter((k) => keys.has(k));
+      if (!picked.length) continue;
+      if (picked.length === leaves.length) {
+        countries.push({ code: country.code });
+      } else {
+        countries.push({
+          code: country.code,
+          provinces: picked.map((k) => k.split("::")[2]),
+        });
+      }
+    }
+    config.push({ zoneId: zone.id, countries });
+  }
+  return config;
+}
+
+function checkedState(leaves, keys) {
+  const n = leaves.filter((k) => keys.has(k)).length;
+  if (n === 0) return false;
+  if (n === leaves.length) return true;
+  return "indeterminate";
+}
+
+export function ManagedZonesPicker({ zones = [], config = [], onSave }) {
+  const [selected, setSelected] = useState(() => configToLeafKeys(config, zones));
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  useEffect(() => {
+    setSelected(configToLeafKeys(config, zones));
+  }, [config, zones]);
+
+  const selectedCount = useMemo(
+    () => leafKeysToConfig(selected, zones).length,
+    [selected, zones]
+  );
+
+  function toggleLeaves(leaves, on) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      leaves.forEach((k) => (on ? next.add(k) : next.delete(k)));
+      return next;
+    });
+  }
+
+  function toggleExpanded(key) {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }
+
+  if (!zones.length) {
+    return (
+      <Text as="p" variant="bodySm" tone="subdued">
+        No zones in the snapshot yet. Resync zones to load them from Shopify.
+      </Text>
+    );
+  }
+
+  return (
+    <BlockStack gap="300">
+      {zones.map((zone) => {
+        const zoneLeaves = zoneLeafKeys(zone);
+        const zoneOpen = expanded.has(zone.id);
+
+        return (
+          <BlockStack key={zone.id} gap="100">
+            <InlineStack gap="200" blockAlign="center">
+              <Checkbox
+                label={zone.name || "Zone"}
+                checked={checkedState(zoneLeaves, selected)}
+                onChange={(on) => toggleLeaves(zoneLeaves, on)}
+              />
+              <Button
+                variant="plain"
+                disclosure={zoneOpen ? "up" : "down"}
+                onClick={() => toggleExpanded(zone.id)}
+              >
+                {`${(zone.countries || []).length} countries`}
+              </Button>
+            </InlineStack>
+
+            {zoneOpen ? (
+              <Box paddingInlineStart="600">
+                <BlockStack gap="100">
+                  {(zone.countries || []).map((country) => {
+                    const countryKey = `${zone.id}::${country.code}`;
+                    const countryLeaves = countryLeafKeys(zone.id, country);
+                    const provinces = country.provinces || [];
+                    const countryOpen = expanded.has(countryKey);
+
+                    return (
+                      <BlockStack key={countryKey} gap="100">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Checkbox
+                            label={`${country.name} (${country.code})`}
+                            checked={checkedState(countryLeaves, selected)}
+                            onChange={(on) => toggleLeaves(countryLeaves, on)}
+                          />
+                          {provinces.length ? (
+                            <Button
+                              variant="plain"
+                              disclosure={countryOpen ? "up" : "down"}
+                              onClick={() => toggleExpanded(countryKey)}
+                            >
+                              {`${provinces.length} provinces`}
+                            </Button>
+                          ) : null}
+                        </InlineStack>
+
+                        {countryOpen ? (
+                          <Box paddingInlineStart="600">
+                            <BlockStack gap="050">
+                              {provinces.map((p) => {
+                                const key = leafKey(zone.id, country.code, p.code);
+                                return (
+                                  <Checkbox
+                                    key={key}
+                                    label={`${p.name} (${p.code})`}
+                                    checked={selected.has(key)}
+                                    onChange={(on) => toggleLeaves([key], on)}
+                                  />
+                                );
+                              })}
+                            </BlockStack>
+                          </Box>
+                        ) : null}
+                      </BlockStack>
+                    );
+                  })}
+                </BlockStack>
+              </Box>
+            ) : null}
+          </BlockStack>
+        );
+      })}
+
+      <InlineStack align="space-between" blockAlign="center">
+        <Text as="p" variant="bodySm" tone="subdued">
+          {selectedCount
+            ? `${selectedCount} zone(s) managed by this app`
+            : "Nothing selected: this app returns rates for every destination."}
+        </Text>
+        <Button
+          variant="primary"
+          onClick={() => onSave?.(leafKeysToConfig(selected, zones))}
+        >
+          Save managed zones
+        </Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
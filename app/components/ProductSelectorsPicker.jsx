@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  Autocomplete,
+  BlockStack,
+  Button,
+  InlineStack,
+  Select,
+  Tag,
+  Text,
+} from "@shopify/polaris";
+import { useAppBridge } from "@shopify/app-bridge-react";
+
+const TYPE_LABELS = {
+  PRODUCT_TAG: "Tag",
+  COLLECTION_ID: "Collection",
+  PRODUCT_ID: "Product",
+};
+
+// gid://shopify/Product/123 -> "123" (selectors store numeric IDs)
+function idFromGid(v) {
+  const s = String(v ?? "").trim();
+  const m = s.match(/\/(\d+)\s*$/);
+  return m ? m[1] : s;
+}
+
+function selectorKey(s) {
+  const value = s.type === "PRODUCT_TAG" ? String(s.value).toLowerCase() : idFromGid(s.value);
+  return `${s.mode}:${s.type}:${value}`;
+}
+
+/**
+ * Search-as-you-type picker backed by /api/tags or /api/collections
+ * (both return { ok, options: [{ label, value }] }).
+ */
+function RemoteAutocomplete({ label, endpoint, placeholder, allowFreeText = false, onPick }) {
+  const [query, setQuery] = useState("");
+  const [options, setOptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setOptions([]);
+      return undefined;
+    }
+
+    const id = ++requestId.current;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const res = await fetch(`${endpoint}?q=${encodeURIComponent(q)}`);
+        const json = await res.json();
+        if (id === requestId.current) setOptions(Array.isArray(json?.options) ? json.options : []);
+      } catch {
+        if (id === requestId.current) setOptions([]);
+      } finally {
+        if (id === requestId.current) setLoading(false);
+      }
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [endpoint, query]);
+
+  const q = query.trim();
+  const shown =
+    allowFreeText && q && !options.some((o) => String(o.value).toLowerCase() === q.toLowerCase())
+      ? [{ value: q, label: `Add "${q}"`, freeText: true }, ...options]
+      : options;
+
+  const handleSelect = useCallback(
+    (selected) => {
+      const value = selected[0];
+      if (value == null) return;
+      const option = shown.find((o) => String(o.value) === value);
+      onPick({ value, label: option && !option.freeText ? String(option.label) : value });
+      setQuery("");
+      setOptions([]);
+    },
+    [shown, onPick]
+  );
+
+  return (
+    <Autocomplete
+      options={shown.map((o) => ({ value: String(o.value), label: String(o.label) }))}
+      selected={[]}
+      onSelect={handleSelect}
+      loading={loading}
+      textField={
+        <Autocomplete.TextField
+          label={label}
+          value={query}
+          onChange={setQuery}
+          placeholder={placeholder}
+          autoComplete="off"
+        />
+      }
+    />
+  );
+}
+
+/**
+ * ShippingSelector editor: tags, collections and products, each included or excluded.
+ * selectors = [{ _key, mode, type, value, label }]; see lib/selectorEngine.server.js.
+ * Also edits volume eligibility rules, which share the shape (pass their own description).
+ */
+export function ProductSelectorsPicker({ selectors, onChange, description }) {
+  const shopify = useAppBridge();
+  const [mode, setMode] = useState("INCLUDE");
+
+  const add = (items) => {
+    const seen = new Set(selectors.map(selectorKey));
+    const next = [...selectors];
+    for (const item of items) {
+      const row = { mode, type: item.type, value: item.value, label: item.label || "" };
+      const key = selectorKey(row);
+      if (!row.value || seen.has(key)) continue;
+      seen.add(key);
+      next.push({ ...row, _key: crypto.randomUUID() });
+    }
+    onChange(next);
+  };
+
+  const remove = (key) => onChange(selectors.filter((s) => s._key !== key));
+
+  async function pickProducts() {
+    const picked = await shopify.resourcePicker({
+      type: "product",
+      multiple: true,
+      filter: { variants: false },
+    });
+    if (!picked?.length) return;
+    add(picked.map((p) => ({ type: "PRODUCT_ID", value: idFromGid(p.id), label: p.title })));
+  }
+
+  const groups = [
+    { mode: "INCLUDE", title: "Included" },
+    { mode: "EXCLUDE", title: "Excluded" },
+  ];
+
+  return (
+    <BlockStack gap="300">
+      <Text as="p" variant="bodySm" tone="subdued">
+        {description ??
+          "Without included products the chart applies to every cart. A cart with any " +
+            "excluded product skips the chart."}
+      </Text>
+
+      <InlineStack gap="300" blockAlign="end" wrap>
+        <Select
+          label="Add as"
+          options={[
+            { label: "Include", value: "INCLUDE" },
+            { label: "Exclude", value: "EXCLUDE" },
+          ]}
+          value={mode}
+          onChange={setMode}
+        />
+        <div style={{ minWidth: 200 }}>
+          <RemoteAutocomplete
+            label="Product tag"
+            endpoint="/api/tags"
+            placeholder="Search tags"
+            allowFreeText
+            onPick={({ value }) => add([{ type: "PRODUCT_TAG", value, label: value }])}
+          />
+        </div>
+        <div style={{ minWidth: 200 }}>
+          <RemoteAutocomplete
+            label="Collection"
+            endpoint="/api/collections"
+            placeholder="Search collections"
+            onPick={({ value, label }) =>
+              add([{ type: "COLLECTION_ID", value: idFromGid(value), label }])
+            }
+          />
+        </div>
+        <Button onClick={pickProducts}>Browse products</Button>
+      </InlineStack>
+
+      {groups.map((group) => {
+        const rows = selectors.filter((s) => s.mode === group.mode);
+        if (!rows.length) return null;
+        return (
+          <BlockStack gap="100" key={group.mode}>
+            <Text as="h3" variant="headingSm">
+              {group.title}
+            </Text>
+            <InlineStack gap="200" wrap>
+              {rows.map((s) => (
+                <Tag key={s._key} onRemove={() => remove(s._key)}>
+                  {`${TYPE_LABELS[s.type]}: ${s.label || s.value}`}
+                </Tag>
+              ))}
+            </InlineStack>
+          </BlockStack>
+        );
+      })}
+    </BlockStack>
+  );
+}
@@ -1,9 +1,12 @@
 import { useEffect, useMemo, useState } from "react";
 import {
   Badge,
+  Banner,
   BlockStack,
   Button,
   Card,
+  Checkbox,
+  ChoiceList,
   InlineStack,
   IndexTable,
   Layout,
@@ -11,22 +14,184 @@ import {
   Text,
   TextField,
 } from "@shopify/polaris";
+import {
+  WEIGHT_UNIT_LABELS,
+  convertWeightValue,
+  formatRangeValue,
+  isWeightBasis,
+} from "../lib/chartUnits";
+import { normalizeServiceCode } from "../lib/serviceCodes";
+import { tierIssuesByField, validateTiers } from "../lib/tierValidation";
+import { ProductSelectorsPicker } from "./ProductSelectorsPicker";
+
+const DESTINATION_RULE_FIELDS = [
+  {
+    type: "COUNTRY",
+    label: "Countries",
+    placeholder: "US, CA",
+  },
+  {
+    type: "PROVINCE",
+    label: "States / provinces",
+    placeholder: "US-CA, CA-ON",
+  },
+  {
+    type: "POSTAL_CODE",
+    label: "Postal codes",
+    placeholder: "902*, 10001..10299",
+  },
+];
+
+function destinationRulesToText(rules) {
+  const text = { INCLUDE: {}, EXCLUDE: {} };
+  for (const mode of ["INCLUDE", "EXCLUDE"]) {
+    for (const { type } of DESTINATION_RULE_FIELDS) {
+      text[mode][type] = (Array.isArray(rules) ? rules : [])
+        .filter((r) => r.mode === mode && r.type === type)
+        .map((r) => r.value)
+        .join(", ");
+    }
+  }
+  return text;
+}
+
+function destinationTextToRules(text) {
+  const rules = [];
+  for (const mode of ["INCLUDE", "EXCLUDE"]) {
+    for (const { type } of DESTINATION_RULE_FIELDS) {
+      String(text?.[mode]?.[type] ?? "")
+        .split(/[,\n]/)
+        .map((v) => v.trim())
+        .filter(Boolean)
+        .forEach((value) => rules.push({ mode, type, value }));
+    }
+  }
+  return rules;
+}
+
+// Matrix cell text: "12.50" = flat $, "5%" = percent of merchandise value
+function matrixRatesToText(matrixRates) {
+  const text = {};
+  for (const [key, cell] of Object.entries(matrixRates || {})) {
+    if (cell?.rateValue == null) continue;
+    text[key] =
+      cell.rateType === "PERCENT"
+        ? `${Number(cell.rateValue)}%`
+        : Number(cell.rateValue).toFixed(2);
+  }
+  return text;
+}
+
+function matrixTextToRates(text) {
+  const rates = {};
+  for (const [key, raw] of Object.entries(text || {})) {
+    const v = String(raw ?? "").trim();
+    if (!v) continue;
+    const isPercent = v.endsWith("%");
+    const n = Number(v.replace(/[%$\s]/g, ""));
+    if (!Number.isFinite(n)) continue;
+    rates[key] = { rateType: isPercent ? "PERCENT" : "FLAT", rateValue: n };
+  }
+  return rates;
+}
+
+function regionsToEditor(regions) {
+  return (Array.isArray(regions) ? regions : []).map((r) => ({
+    key: r.key,
+    name: r.name ?? "",
+    zoneIds: Array.isArray(r.zoneIds) ? r.zoneIds : [],
+    countriesText: (r.countries || []).join(", "),
+    provincesText: (r.provinces || []).join(", "),
+  }));
+}
+
+function daysToText(v) {
+  return v == null ? "" : String(v);
+}
+
+function textToDays(v) {
+  const t = String(v ?? "").trim();
+  if (t === "") return null;
+  const n = Number(t);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n) : null;
+}
+
+function selectorsToEditorRows(selectors) {
+  return (Array.isArray(selectors) ? selectors : []).map((s) => ({
+    _key: crypto.randomUUID(),
+    mode: s.mode === "EXCLUDE" ? "EXCLUDE" : "INCLUDE",
+    type: s.type,
+    value: String(s.value ?? ""),
+    label: s.label ?? "",
+  }));
+}
+
+function servicesToEditorRows(services) {
+  return (Array.isArray(services) ? services : []).map((svc) => ({
+    _key: crypto.randomUUID(),
+    code: svc.code ?? "",
+    name: svc.name ?? "",
+    multiplierText: String(svc.multiplierPercent ?? 100),
+    surchargeText: Number(svc.surcharge ?? 0).toFixed(2),
+    handlingDaysText: daysToText(svc.handlingDays),
+    transitMinText: daysToText(svc.transitDaysMin),
+    transitMaxText: daysToText(svc.transitDaysMax),
+    isActive: svc.isActive !== false,
+  }));
+}
 
 export function ShippingChartEditorForm({
   mode, // "create" | "edit"
   chart,
   shippingServiceOptions = [],
+  zoneOptions = [],
   saving = false,
   onSave,
   onCancel,
+  onSimulate,
+  destinationIssues = [], // save action's validateDestinationRules issues
 }) {
     const [name, setName] = useState(chart?.name ?? "");
   const [isActive, setIsActive] = useState(chart?.isActive ?? true);
+  const [basisType, setBasisType] = useState(
+    chart?.basisType ?? "MERCHANDISE_PRE_DISCOUNT"
+  );
+  const [weightUnit, setWeightUnit] = useState(chart?.weightUnit ?? "LB");
+  const [chartType, setChartType] = useState(chart?.chartType ?? "TIERED");
+  const [matrixRegions, setMatrixRegions] = useState(() =>
+    regionsToEditor(chart?.matrixRegions)
+  );
+  const [services, setServices] = useState(() => servicesToEditorRows(chart?.services));
+  const [selectors, setSelectors] = useState(() => selectorsToEditorRows(chart?.selectors));
+  const [handlingDaysText, setHandlingDaysText] = useState(daysToText(chart?.handlingDays));
+  const [transitMinText, setTransitMinText] = useState(daysToText(chart?.transitDaysMin));
+  const [transitMaxText, setTransitMaxText] = useState(daysToText(chart?.transitDaysMax));
+  const [fallbackRateText, setFallbackRateText] = useState(
+    chart?.fallbackRate == null ? "" : formatMoney2(chart.fallbackRate)
+  );
+  const [freeShippingText, setFreeShippingText] = useState(
+    chart?.freeShippingThreshold == null ? "" : formatMoney2(chart.freeShippingThreshold)
+  );
+  const [descriptionTemplate, setDescriptionTemplate] = useState(
+    chart?.descriptionTemplate ?? ""
+  );
+  const [requireAllItemsMatch, setRequireAllItemsMatch] = useState(
+    chart?.requireAllItemsMatch ?? false
+  );
     const [defaultService, setDefaultService] = useState(
     chart?.defaultServiceCode ?? ""
   );
 
   const [handlingFee, setHandlingFee] = useState(chart?.handlingFee ?? 0);
+  const [destinationText, setDestinationText] = useState(() =>
+    destinationRulesToText(chart?.destinationRules)
+  );
+  const [maxRateText, setMaxRateText] = useState(
+    chart?.maxRate == null ? "" : formatMoney2(chart.maxRate)
+  );
+  const [capPercentText, setCapPercentText] = useState(
+    String(chart?.capPercentOfMax ?? 90)
+  );
   const [handlingFeeText, setHandlingFeeText] = useState(
     formatMoney2(chart?.handlingFee ?? 0)
   );
@@ -48,6 +213,8 @@ export function ShippingChartEditorForm({
           rateType: t.rateType ?? "FLAT",
           rateValue: t.rateValue == null ? null : Number(t.rateValue),
           rateValueText: t.rateValue == null ? "" : String(t.rateValue),
+          matrixCellText: matrixRatesToText(t.matrixRates),
+          serviceCode: t.serviceCode ?? "",
           priority: t.priority ?? 0,
         }));
     }
@@ -63,21 +230,27 @@ export function ShippingChartEditorForm({
         rateType: "FLAT",
         rateValue: 0,
         rateValueText: formatMoney2(0),
+        matrixCellText: {},
+        serviceCode: "",
         priority: 0,
       },
     ];
   });
 
+  // Money: next tier starts a cent above the previous max. Weight: it shares the
+  // boundary (first tier wins there), since 0.01 lb/kg rounds to a gram gap
+  function nextTierMin(prevMax) {
+    if (typeof prevMax !== "number" || !Number.isFinite(prevMax)) return null;
+    if (isWeightBasis(basisType)) return prevMax;
+    return Number((prevMax + 0.01).toFixed(2));
+  }
+
   function addTier() {
     setTiers((prev) => [
       ...prev,
             (() => {
         const last = prev[prev.length - 1];
-        const lastMax = last?.maxValue;
-        const nextMin =
-          typeof lastMax === "number" && Number.isFinite(lastMax)
-            ? Number((lastMax + 0.01).toFixed(2))
-            : null;
+        const nextMin = nextTierMin(last?.maxValue);
 
         return {
           _key: crypto.randomUUID(),
@@ -89,6 +262,8 @@ export function ShippingChartEditorForm({
           rateType: "FLAT",
           rateValue: prev.length === 0 ? 0 : null,
           rateValueText: prev.length === 0 ? formatMoney2(0) : "",
+          matrixCellText: {},
+          serviceCode: "",
           priority: prev.length,
         };
       })(),
@@ -105,6 +280,82 @@ export function ShippingChartEditorForm({
     setTiers((prev) => prev.filter((t) => t._key !== key));
   }
 
+  function updateMatrixCell(tierKey, regionKey, value) {
+    setTiers((prev) =>
+      prev.map((t) =>
+        t._key === tierKey
+          ? { ...t, matrixCellText: { ...(t.matrixCellText || {}), [regionKey]: value } }
+          : t
+      )
+    );
+  }
+
+  function addRegion() {
+    setMatrixRegions((prev) => [
+      ...prev,
+      {
+        key: `r_${crypto.randomUUID().slice(0, 8)}`,
+        name: `Region ${prev.length + 1}`,
+        zoneIds: [],
+        countriesText: "",
+        provincesText: "",
+      },
+    ]);
+  }
+
+  function updateRegion(key, patch) {
+    setMatrixRegions((prev) => prev.map((r) => (r.key === key ? { ...r, ...patch } : r)));
+  }
+
+  function deleteRegion(key) {
+    setMatrixRegions((prev) => prev.filter((r) => r.key !== key));
+  }
+
+  function addService() {
+    setServices((prev) => [
+      ...prev,
+      {
+        _key: crypto.randomUUID(),
+        code: "",
+        name: "",
+        multiplierText: "100",
+        surchargeText: formatMoney2(0),
+        handlingDaysText: "",
+        transitMinText: "",
+        transitMaxText: "",
+        isActive: true,
+      },
+    ]);
+  }
+
+  function updateService(key, patch) {
+    setServices((prev) => prev.map((svc) => (svc._key === key ? { ...svc, ...patch } : svc)));
+  }
+
+  function deleteService(key) {
+    setServices((prev) => prev.filter((svc) => svc._key !== key));
+  }
+
+  // lb <-> kg: keep the same physical ranges, re-expressed in the new unit
+  function changeWeightUnit(nextUnit) {
+    if (nextUnit === weightUnit) return;
+    const convert = (v) => convertWeightValue(v, weightUnit, nextUnit);
+    setTiers((prev) =>
+      prev.map((t) => {
+        const minValue = convert(t.minValue);
+        const maxValue = convert(t.maxValue);
+        return {
+          ...t,
+          minValue,
+          minValueText: minValue == null ? "" : formatMoney2(minValue),
+          maxValue,
+          maxValueText: maxValue == null ? "" : formatMoney2(maxValue),
+        };
+      })
+    );
+    setWeightUnit(nextUnit);
+  }
+
   function formatMoney2(amount) {
   const n = Number(amount ?? 0);
   return n.toFixed(2);
@@ -119,9 +370,27 @@ export function ShippingChartEditorForm({
   useEffect(() => {
     setName(chart?.name ?? "");
     setIsActive(chart?.isActive ?? true);
+    setBasisType(chart?.basisType ?? "MERCHANDISE_PRE_DISCOUNT");
+    setWeightUnit(chart?.weightUnit ?? "LB");
+    setChartType(chart?.chartType ?? "TIERED");
+    setMatrixRegions(regionsToEditor(chart?.matrixRegions));
+    setServices(servicesToEditorRows(chart?.services));
+    setSelectors(selectorsToEditorRows(chart?.selectors));
+    setHandlingDaysText(daysToText(chart?.handlingDays));
+    setTransitMinText(daysToText(chart?.transitDaysMin));
+    setTransitMaxText(daysToText(chart?.transitDaysMax));
+    setDescriptionTemplate(chart?.descriptionTemplate ?? "");
+    setFreeShippingText(
+      chart?.freeShippingThreshold == null ? "" : formatMoney2(chart.freeShippingThreshold)
+    );
+    setFallbackRateText(chart?.fallbackRate == null ? "" : formatMoney2(chart.fallbackRate));
+    setRequireAllItemsMatch(chart?.requireAllItemsMatch ?? false);
         setDefaultService(chart?.defaultServiceCode ?? "");
     setHandlingFee(chart?.handlingFee ?? 0);
     setHandlingFeeText(formatMoney2(chart?.handlingFee ?? 0));
+    setDestinationText(destinationRulesToText(chart?.destinationRules));
+    setMaxRateText(chart?.maxRate == null ? "" : formatMoney2(chart.maxRate));
+    setCapPercentText(String(chart?.capPercentOfMax ?? 90));
         setTiers(() => {
       const incoming = Array.isArray(chart?.tiers) ? chart.tiers : [];
       if (incoming.length) {
@@ -147,6 +416,9 @@ export function ShippingChartEditorForm({
                   ? formatPercentWhole(t.rateValue)
                   : formatMoney2(t.rateValue),
 
+            matrixCellText: matrixRatesToText(t.matrixRates),
+            serviceCode: t.serviceCode ?? "",
+
             priority: t.priority ?? 0,
           }));
 
@@ -167,6 +439,9 @@ export function ShippingChartEditorForm({
           rateValue: 0,
           rateValueText: formatMoney2(0),
 
+          matrixCellText: {},
+          serviceCode: "",
+
           priority: 0,
         },
       ];
@@ -190,17 +465,27 @@ export function ShippingChartEditorForm({
     if (!sorted.length) return [];
 
     return sorted.map((t, i) => {
-      const min = formatMoney2(t.minValue ?? 0);
+      const units = { basisType, weightUnit };
+      const min = formatRangeValue(t.minValue ?? 0, units);
       const maxLabel =
         t.maxValue === null || t.maxValue === undefined || t.maxValue === ""
           ? "No max"
-          : formatMoney2(t.maxValue);
+          : formatRangeValue(t.maxValue, units);
 
       const isPercent = t.rateType === "PERCENT";
 
+      if (chartType === "MATRIX") {
+        const priced = Object.keys(matrixTextToRates(t.matrixCellText)).length;
+        return (
+          <Text as="span" key={t._key ?? t.id ?? i}>
+            {`Min ${min} to ${maxLabel} = ${priced} of ${matrixRegions.length} regions priced`}
+          </Text>
+        );
+      }
+
       return (
         <InlineStack key={t._key ?? t.id ?? i} gap="100" blockAlign="baseline">
-          <Text as="span">{`Min $${min} to ${maxLabel === "No max" ? maxLabel : `$${maxLabel}`} = `}</Text>
+          <Text as="span">{`Min ${min} to ${maxLabel} = `}</Text>
 
           {isPercent ? (
             <InlineStack gap="100" blockAlign="baseline">
@@ -215,35 +500,123 @@ export function ShippingChartEditorForm({
         </InlineStack>
       );
     });
-  }, [tiers]);
-
+  }, [tiers, basisType, weightUnit, chartType, matrixRegions.length]);
 
-  function handleSave() {
-    if (typeof onSave !== "function") return;
 
+  function buildPayload() {
   const payload = {
     name: String(name || "").trim(),
     isActive: Boolean(isActive),
+    requireAllItemsMatch: Boolean(requireAllItemsMatch),
+    selectors: selectors.map((s) => ({ mode: s.mode, type: s.type, value: s.value })),
+    chartType,
+    basisType,
+    weightUnit,
+    matrixRegions: matrixRegions.map((r) => ({
+      key: r.key,
+      name: String(r.name || "").trim(),
+      zoneIds: r.zoneIds,
+      countries: r.countriesText,
+      provinces: r.provincesText,
+    })),
+    services: services.map((svc) => ({
+      code: String(svc.code || "").trim(),
+      name: String(svc.name || "").trim(),
+      multiplierPercent: Number(svc.multiplierText),
+      surcharge: Number(svc.surchargeText),
+      handlingDays: textToDays(svc.handlingDaysText),
+      transitDaysMin: textToDays(svc.transitMinText),
+      transitDaysMax: textToDays(svc.transitMaxText),
+      isActive: svc.isActive,
+    })),
+    handlingDays: textToDays(handlingDaysText),
+    transitDaysMin: textToDays(transitMinText),
+    transitDaysMax: textToDays(transitMaxText),
+    descriptionTemplate: String(descriptionTemplate || "").trim(),
+    freeShippingThreshold:
+      String(freeShippingText ?? "").trim() === "" || !Number.isFinite(Number(freeShippingText))
+        ? null
+        : Number(freeShippingText),
+    fallbackRate:
+      String(fallbackRateText ?? "").trim() === "" || !Number.isFinite(Number(fallbackRateText))
+        ? null
+        : Number(fallbackRateText),
+    destinationRules: destinationTextToRules(destinationText),
     handlingFee: Number(handlingFee ?? 0),
+    maxRate:
+      String(maxRateText ?? "").trim() === "" || !Number.isFinite(Number(maxRateText))
+        ? null
+        : Number(maxRateText),
+    capPercentOfMax: Number.isFinite(Number(capPercentText))
+      ? Math.round(Number(capPercentText))
+      : 90,
     defaultServiceCode: String(defaultService || ""),
-    tiers: tiers.map((t, index) => ({
-    minValue:
-    t.minValue == null || t.minValue === ""
-      ? index === 0 ? 0 : null
-      : Number(t.minValue),
-    maxValue: t.maxValue === null || t.maxValue === "" ? null : Number(t.maxValue),
-    rateType: t.rateType,
-    rateValue:
-    t.rateValueText == null || String(t.rateValueText).trim() === ""
-      ? (index === 0 ? 0 : null)
-      : t.rateType === "PERCENT"
-        ? Math.round(Number(t.rateValueText))
-        : Number(t.rateValueText),
-    priority: index,
-    })),
+    tiers: buildPayloadTiers(),
   };
 
-    onSave(payload);
+    return payload;
+  }
+
+  function buildPayloadTiers() {
+    return tiers.map((t, index) => ({
+      minValue:
+        t.minValue == null || t.minValue === ""
+          ? index === 0 ? 0 : null
+          : Number(t.minValue),
+      maxValue: t.maxValue === null || t.maxValue === "" ? null : Number(t.maxValue),
+      rateType: t.rateType,
+      rateValue:
+        t.rateValueText == null || String(t.rateValueText).trim() === ""
+          ? (index === 0 ? 0 : null)
+          : t.rateType === "PERCENT"
+            ? Math.round(Number(t.rateValueText))
+            : Number(t.rateValueText),
+      matrixRates: chartType === "MATRIX" ? matrixTextToRates(t.matrixCellText) : {},
+      serviceCode: t.serviceCode || "",
+      priority: index,
+    }));
+  }
+
+  // Same checks the save actions run (lib/tierValidation.js); errors block saving
+  const tierValidation = validateTiers({
+    tiers: buildPayloadTiers(),
+    basisType,
+    weightUnit,
+    chartType,
+    regions: matrixRegions,
+    hasFallback: String(fallbackRateText ?? "").trim() !== "",
+    serviceCodes: services
+      .map((svc) => normalizeServiceCode(svc.code) || normalizeServiceCode(svc.name))
+      .filter(Boolean),
+  });
+  const tierFieldIssues = tierIssuesByField(tierValidation.issues);
+  const tierErrors = tierValidation.issues.filter((i) => i.level === "error");
+  const tierWarnings = tierValidation.issues.filter((i) => i.level === "warning");
+
+  // "<mode>.<type>" -> messages for that destination field
+  const destinationErrors = {};
+  for (const issue of Array.isArray(destinationIssues) ? destinationIssues : []) {
+    if (!issue?.field) continue;
+    destinationErrors[issue.field] = destinationErrors[issue.field]
+      ? `${destinationErrors[issue.field]} ${issue.message}`
+      : issue.message;
+  }
+
+  // Field-level feedback: errors as the field error, warnings as help text
+  function tierFieldFeedback(index, field) {
+    const issue = tierFieldIssues[index]?.[field];
+    if (!issue) return {};
+    return issue.level === "error" ? { error: issue.message } : { helpText: issue.message };
+  }
+
+  function handleSave() {
+    if (typeof onSave !== "function" || !tierValidation.ok) return;
+    onSave(buildPayload());
+  }
+
+  // Hands the current (unsaved) state to the rate simulator
+  function handleSimulate() {
+    if (typeof onSimulate === "function") onSimulate(buildPayload());
   }
 
   function handleCancelClick(e) {
@@ -253,6 +626,20 @@ export function ShippingChartEditorForm({
     if (typeof onCancel === "function") onCancel();
   }
   const showPercentHint = tiers.some((t) => t.rateType === "PERCENT");
+  const isWeight = isWeightBasis(basisType);
+  const rangeUnitLabel = isWeight ? WEIGHT_UNIT_LABELS[weightUnit] : "$";
+  const isMatrix = chartType === "MATRIX";
+  const serviceCodeOptions = [
+    { label: "All services", value: "" },
+    ...services
+      .filter((svc) => String(svc.code || svc.name || "").trim())
+      .map((svc) => {
+        const code = String(svc.code || svc.name).trim();
+        return { label: svc.name ? `${svc.name} (${code})` : code, value: code };
+      }),
+  ];
+  const showServiceColumn = services.length > 0;
+  const serviceHeading = showServiceColumn ? [{ title: "Service" }] : [];
 
   const rateHeadingTitle = showPercentHint ? (
     <InlineStack gap="100" blockAlign="center" wrap={false}>
@@ -285,6 +672,114 @@ export function ShippingChartEditorForm({
               </BlockStack>
             </Card>
 
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Chart basis
+                </Text>
+                <InlineStack gap="300" blockAlign="end">
+                  <Select
+                    label="Chart type"
+                    options={[
+                      { label: "Tiered", value: "TIERED" },
+                      { label: "Rate matrix (bands × regions)", value: "MATRIX" },
+                    ]}
+                    value={chartType}
+                    onChange={setChartType}
+                  />
+                  <Select
+                    label="Tier ranges are based on"
+                    options={[
+                      { label: "Merchandise value ($)", value: "MERCHANDISE_PRE_DISCOUNT" },
+                      { label: "Total weight", value: "WEIGHT" },
+                    ]}
+                    value={basisType}
+                    onChange={setBasisType}
+                  />
+                  {isWeight ? (
+                    <Select
+                      label="Weight unit"
+                      options={[
+                        { label: "Pounds (lb)", value: "LB" },
+                        { label: "Kilograms (kg)", value: "KG" },
+                      ]}
+                      value={weightUnit}
+                      onChange={changeWeightUnit}
+                    />
+                  ) : null}
+                </InlineStack>
+                {isWeight ? (
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    Weight is the sum of each shippable item’s weight × quantity at checkout.
+                    Percent rates are still a percent of merchandise value.
+                  </Text>
+                ) : null}
+              </BlockStack>
+            </Card>
+
+            {isMatrix ? (
+              <Card>
+                <BlockStack gap="300">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text as="h2" variant="headingMd">
+                      Matrix regions
+                    </Text>
+                    <Button onClick={addRegion}>Add region</Button>
+                  </InlineStack>
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    Each region is a column in the rate grid. The first region containing the
+                    destination is used, so list narrow regions before broad ones. A destination
+                    outside every region gets no rate from this chart.
+                  </Text>
+
+                  {matrixRegions.length === 0 ? (
+                    <Text as="p" tone="subdued">
+                      No regions yet.
+                    </Text>
+                  ) : null}
+
+                  {matrixRegions.map((region) => (
+                    <BlockStack key={region.key} gap="200">
+                      <InlineStack gap="300" blockAlign="end">
+                        <TextField
+                          label="Region name"
+                          value={region.name}
+                          onChange={(v) => updateRegion(region.key, { name: v })}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="Countries"
+                          placeholder="US, CA"
+                          value={region.countriesText}
+                          onChange={(v) => updateRegion(region.key, { countriesText: v })}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="States / provinces"
+                          placeholder="US-CA, US-OR"
+                          value={region.provincesText}
+                          onChange={(v) => updateRegion(region.key, { provincesText: v })}
+                          autoComplete="off"
+                        />
+                        <Button tone="critical" onClick={() => deleteRegion(region.key)}>
+                          Delete
+                        </Button>
+                      </InlineStack>
+                      {zoneOptions.length ? (
+                        <ChoiceList
+                          allowMultiple
+                          title="Shipping zones"
+                          choices={zoneOptions}
+                          selected={region.zoneIds}
+                          onChange={(v) => updateRegion(region.key, { zoneIds: v })}
+                        />
+                      ) : null}
+                    </BlockStack>
+                  ))}
+                </BlockStack>
+              </Card>
+            ) : null}
+
             <Card>
               <BlockStack gap="200">
                                 <InlineStack align="space-between" blockAlign="center">
@@ -294,16 +789,52 @@ export function ShippingChartEditorForm({
                   <Button onClick={addTier}>Add tier</Button>
                 </InlineStack>
 
+                {tierErrors.length ? (
+                  <Banner tone="critical" title="Fix these tiers before saving">
+                    <ul>
+                      {tierErrors.map((issue, i) => (
+                        <li key={i}>
+                          {issue.tierIndex == null ? "" : `Tier ${issue.tierIndex + 1}: `}
+                          {issue.message}
+                        </li>
+                      ))}
+                    </ul>
+                  </Banner>
+                ) : null}
+                {tierWarnings.length ? (
+                  <Banner tone="warning" title="Check these tiers">
+                    <ul>
+                      {tierWarnings.map((issue, i) => (
+                        <li key={i}>
+                          {issue.tierIndex == null ? "" : `Tier ${issue.tierIndex + 1}: `}
+                          {issue.message}
+                        </li>
+                      ))}
+                    </ul>
+                  </Banner>
+                ) : null}
+
                 <IndexTable
                   itemCount={tiers.length}
                   selectable={false}
-                  headings={[
-                    { title: "Min $" },
-                    { title: "Max $" },
-                    { title: "Type" },
-                    { title: rateHeadingTitle },
-                    { title: "" },
-                  ]}
+                  headings={
+                    isMatrix
+                      ? [
+                          { title: `Min ${rangeUnitLabel}` },
+                          { title: `Max ${rangeUnitLabel}` },
+                          ...serviceHeading,
+                          ...matrixRegions.map((r) => ({ title: r.name || "Region" })),
+                          { title: "" },
+                        ]
+                      : [
+                          { title: `Min ${rangeUnitLabel}` },
+                          { title: `Max ${rangeUnitLabel}` },
+                          ...serviceHeading,
+                          { title: "Type" },
+                          { title: rateHeadingTitle },
+                          { title: "" },
+                        ]
+                  }
                 >
                   {tiers.map((tier, index) => (
                     <IndexTable.Row
@@ -315,6 +846,7 @@ export function ShippingChartEditorForm({
                         <TextField
                           type="number"
                           value={tier.minValueText ?? ""}
+                          {...tierFieldFeedback(index, "minValue")}
                           onChange={(v) =>
                             updateTier(tier._key, { minValueText: v })
                           }
@@ -354,6 +886,7 @@ export function ShippingChartEditorForm({
                           type="number"
                           placeholder="∞"
                           value={tier.maxValueText ?? ""}
+                          {...tierFieldFeedback(index, "maxValue")}
                           onChange={(v) =>
                             updateTier(tier._key, { maxValueText: v })
                           }
@@ -374,11 +907,11 @@ export function ShippingChartEditorForm({
                               maxValueText: safe == null ? "" : formatMoney2(safe),
                             });
 
-                            // Auto-fill next tier min = this max + 0.01 (only if next min is blank)
+                            // Auto-fill next tier min (only if next min is blank)
                             if (safe != null) {
                               const next = tiers[index + 1];
                               if (next && String(next.minValueText ?? "").trim() === "") {
-                                const nextMin = Number((safe + 0.01).toFixed(2));
+                                const nextMin = nextTierMin(safe);
                                 updateTier(next._key, {
                                   minValue: nextMin,
                                   minValueText: formatMoney2(nextMin),
@@ -390,6 +923,41 @@ export function ShippingChartEditorForm({
                         />
                       </IndexTable.Cell>
 
+                      {showServiceColumn ? (
+                        <IndexTable.Cell>
+                          <Select
+                            label="Service"
+                            labelHidden
+                            options={serviceCodeOptions}
+                            value={tier.serviceCode ?? ""}
+                            onChange={(v) => updateTier(tier._key, { serviceCode: v })}
+                          />
+                        </IndexTable.Cell>
+                      ) : null}
+
+                      {isMatrix ? (
+                        matrixRegions.map((region) => (
+                          <IndexTable.Cell key={region.key}>
+                            <div style={{ minWidth: 90 }}>
+                              <TextField
+                                label={region.name || "Region"}
+                                labelHidden
+                                placeholder="12.50 or 5%"
+                                value={tier.matrixCellText?.[region.key] ?? ""}
+                                error={
+                                  tierFieldIssues[index]?.[`matrixRates.${region.key}`]
+                                    ?.level === "error"
+                                    ? "Can't be negative"
+                                    : undefined
+                                }
+                                onChange={(v) => updateMatrixCell(tier._key, region.key, v)}
+                                autoComplete="off"
+                              />
+                            </div>
+                          </IndexTable.Cell>
+                        ))
+                      ) : (
+                      <>
                       <IndexTable.Cell>
                         <Select
                           options={[
@@ -409,6 +977,7 @@ export function ShippingChartEditorForm({
                             <TextField
                               type="number"
                               value={tier.rateValueText ?? ""}
+                              {...tierFieldFeedback(index, "rateValue")}
                               onChange={(v) =>
                                 updateTier(tier._key, { rateValueText: v })
                               }
@@ -461,6 +1030,8 @@ export function ShippingChartEditorForm({
 
                         </InlineStack>
                       </IndexTable.Cell>
+                      </>
+                      )}
 
                       <IndexTable.Cell>
                         <Button
@@ -477,6 +1048,216 @@ export function ShippingChartEditorForm({
               </BlockStack>
             </Card>
 
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text as="h2" variant="headingMd">
+                    Service levels
+                  </Text>
+                  <Button onClick={addService}>Add service</Button>
+                </InlineStack>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  No services: one rate for this chart. With services: one rate per active
+                  service, returned with its code. A service uses tiers assigned to it when it
+                  has any; otherwise the "All services" tiers × multiplier + surcharge.
+                </Text>
+
+                {services.map((svc) => (
+                  <BlockStack key={svc._key} gap="200">
+                    <InlineStack gap="300" blockAlign="end">
+                      <TextField
+                        label="Name"
+                        value={svc.name}
+                        onChange={(v) => updateService(svc._key, { name: v })}
+                        placeholder="Expedited"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Code"
+                        value={svc.code}
+                        onChange={(v) => updateService(svc._key, { code: v })}
+                        placeholder="EXPEDITED"
+                        autoComplete="off"
+                      />
+                      <div style={{ maxWidth: 110 }}>
+                        <TextField
+                          label="Multiplier"
+                          type="number"
+                          value={svc.multiplierText}
+                          onChange={(v) => updateService(svc._key, { multiplierText: v })}
+                          suffix="%"
+                          autoComplete="off"
+                        />
+                      </div>
+                      <div style={{ maxWidth: 110 }}>
+                        <TextField
+                          label="Surcharge"
+                          type="number"
+                          value={svc.surchargeText}
+                          onChange={(v) => updateService(svc._key, { surchargeText: v })}
+                          onBlur={() => {
+                            const n = Number(svc.surchargeText);
+                            updateService(svc._key, {
+                              surchargeText: formatMoney2(Number.isFinite(n) ? n : 0),
+                            });
+                          }}
+                          prefix="$"
+                          autoComplete="off"
+                        />
+                      </div>
+                      <Checkbox
+                        label="Active"
+                        checked={svc.isActive}
+                        onChange={(v) => updateService(svc._key, { isActive: v })}
+                      />
+                      <Button tone="critical" onClick={() => deleteService(svc._key)}>
+                        Delete
+                      </Button>
+                    </InlineStack>
+                    <InlineStack gap="300" blockAlign="end">
+                      <div style={{ maxWidth: 140 }}>
+                        <TextField
+                          label="Handling days"
+                          type="number"
+                          value={svc.handlingDaysText}
+                          onChange={(v) => updateService(svc._key, { handlingDaysText: v })}
+                          placeholder="Chart"
+                          autoComplete="off"
+                        />
+                      </div>
+                      <div style={{ maxWidth: 140 }}>
+                        <TextField
+                          label="Transit days min"
+                          type="number"
+                          value={svc.transitMinText}
+                          onChange={(v) => updateService(svc._key, { transitMinText: v })}
+                          placeholder="Chart"
+                          autoComplete="off"
+                        />
+                      </div>
+                      <div style={{ maxWidth: 140 }}>
+                        <TextField
+                          label="Transit days max"
+                          type="number"
+                          value={svc.transitMaxText}
+                          onChange={(v) => updateService(svc._key, { transitMaxText: v })}
+                          placeholder="Chart"
+                          autoComplete="off"
+                        />
+                      </div>
+                    </InlineStack>
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Delivery estimate
+                </Text>
+                <InlineStack gap="300" blockAlign="end">
+                  <TextField
+                    label="Handling days"
+                    type="number"
+                    value={handlingDaysText}
+                    onChange={setHandlingDaysText}
+                    placeholder="0"
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Transit days min"
+                    type="number"
+                    value={transitMinText}
+                    onChange={setTransitMinText}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Transit days max"
+                    type="number"
+                    value={transitMaxText}
+                    onChange={setTransitMaxText}
+                    autoComplete="off"
+                  />
+                </InlineStack>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Business days, counted with the delivery calendar in Settings. Leave transit
+                  days blank to show no delivery dates. Service levels can override these.
+                </Text>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Fallback rate
+                </Text>
+                <TextField
+                  label="Rate when no tier matches ($)"
+                  value={fallbackRateText}
+                  onChange={setFallbackRateText}
+                  onBlur={() => {
+                    const raw = String(fallbackRateText ?? "").trim();
+                    const n = Number(raw);
+                    setFallbackRateText(raw === "" || !Number.isFinite(n) ? "" : formatMoney2(n));
+                  }}
+                  placeholder="No fallback"
+                  autoComplete="off"
+                />
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Used when this chart applies to the cart and destination but no tier (or matrix
+                  cell) covers it. Blank = the chart returns no rate. Every use is logged.
+                </Text>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Free shipping
+                </Text>
+                <TextField
+                  label="Free shipping at ($)"
+                  value={freeShippingText}
+                  onChange={setFreeShippingText}
+                  onBlur={() => {
+                    const raw = String(freeShippingText ?? "").trim();
+                    const n = Number(raw);
+                    setFreeShippingText(raw === "" || !Number.isFinite(n) ? "" : formatMoney2(n));
+                  }}
+                  placeholder="No threshold"
+                  autoComplete="off"
+                />
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Every rate from this chart is $0 once merchandise (after volume pricing) reaches
+                  this amount. Below it, the description can say how much more to spend.
+                </Text>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Checkout description
+                </Text>
+                <TextField
+                  label="Description template"
+                  value={descriptionTemplate}
+                  onChange={setDescriptionTemplate}
+                  placeholder="[Arrives {delivery_window}][ • Spend {free_shipping_gap} more for free shipping]"
+                  multiline={2}
+                  autoComplete="off"
+                />
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Shown under the rate at checkout. Placeholders: {"{service_name}"},{" "}
+                  {"{tier_name}"}, {"{next_tier_gap}"}, {"{delivery_window}"},{" "}
+                  {"{free_shipping_gap}"}, {"{free_shipping_threshold}"}. Text in [brackets] is
+                  hidden when a placeholder inside it has no value, e.g. “[Add{" "}
+                  {"{free_shipping_gap}"} for free shipping]”.
+                </Text>
+              </BlockStack>
+            </Card>
+
             <Card>
               <BlockStack gap="200">
                 <Text as="h2" variant="headingMd">
@@ -499,6 +1280,110 @@ export function ShippingChartEditorForm({
               </BlockStack>
             </Card>
 
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Maximum rate
+                </Text>
+
+                <InlineStack gap="300" blockAlign="start">
+                  <TextField
+                    label="Maximum rate ($)"
+                    type="number"
+                    placeholder="No maximum"
+                    value={maxRateText}
+                    onChange={setMaxRateText}
+                    onBlur={() => {
+                      const raw = String(maxRateText ?? "").trim();
+                      const n = Number(raw);
+                      setMaxRateText(raw === "" || !Number.isFinite(n) ? "" : formatMoney2(n));
+                    }}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Cap at % of maximum"
+                    type="number"
+                    suffix="%"
+                    value={capPercentText}
+                    onChange={setCapPercentText}
+                    onBlur={() => {
+                      const n = Number(capPercentText);
+                      const safe = Number.isFinite(n)
+                        ? Math.min(Math.max(Math.round(n), 1), 100)
+                        : 90;
+                      setCapPercentText(String(safe));
+                    }}
+                    autoComplete="off"
+                  />
+                </InlineStack>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Rates (including the handling fee) never exceed the maximum × this percent.
+                  Default 90% keeps rates 10% under the maximum. Leave the maximum blank for no cap.
+                </Text>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Destinations
+                </Text>
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Leave everything blank to offer this chart everywhere. Separate values with
+                  commas. Postal codes match by prefix (902 or 902*) or an inclusive range
+                  (10001..10299). When both places and postal codes are included, a destination
+                  must match both. Exclusions always win.
+                </Text>
+
+                {[
+                  { mode: "INCLUDE", title: "Only ship to" },
+                  { mode: "EXCLUDE", title: "Never ship to" },
+                ].map(({ mode, title }) => (
+                  <BlockStack key={mode} gap="200">
+                    <Text as="h3" variant="headingSm">
+                      {title}
+                    </Text>
+                    <InlineStack gap="300" wrap={false}>
+                      {DESTINATION_RULE_FIELDS.map((field) => (
+                        <div key={field.type} style={{ flex: 1 }}>
+                          <TextField
+                            label={field.label}
+                            placeholder={field.placeholder}
+                            value={destinationText[mode][field.type]}
+                            onChange={(v) =>
+                              setDestinationText((prev) => ({
+                                ...prev,
+                                [mode]: { ...prev[mode], [field.type]: v },
+                              }))
+                            }
+                            error={destinationErrors[`${mode}.${field.type}`]}
+                            autoComplete="off"
+                          />
+                        </div>
+                      ))}
+                    </InlineStack>
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Products this chart applies to
+                </Text>
+
+                <ProductSelectorsPicker selectors={selectors} onChange={setSelectors} />
+
+                <Checkbox
+                  label="Only use this chart when every shippable item matches"
+                  checked={requireAllItemsMatch}
+                  onChange={setRequireAllItemsMatch}
+                  helpText="Off: the chart is offered when any item in the cart matches its product selectors. On: mixed carts skip this chart and fall through to your general charts; it is only offered when all items match. Charts without selectors apply to every cart either way."
+                />
+              </BlockStack>
+            </Card>
+
           </BlockStack>
         </Layout.Section>
 
@@ -534,15 +1419,15 @@ export function ShippingChartEditorForm({
                 <Select
                   label="Service"
                   options={[
-                    { label: "Shopify calculated (default)", value: "" },
+                    { label: "None (use chart ID)", value: "" },
                     ...(shippingServiceOptions || []),
                   ]}
                   value={defaultService}
                   onChange={setDefaultService}
                 />
                 <Text tone="subdued">
-                  UI only for now (not saved yet). We’ll store this once the database field is added.
-
+                  Sent to Shopify as the rate’s service code, for order routing and labels.
+                  Charts with service levels use each service’s own code instead.
                 </Text>
               </BlockStack>
             </Card>
@@ -570,11 +1455,16 @@ export function ShippingChartEditorForm({
               <Button onClick={handleCancelClick} disabled={saving}>
                 Cancel
               </Button>
+              {typeof onSimulate === "function" ? (
+                <Button onClick={handleSimulate} disabled={saving}>
+                  Simulate rates
+                </Button>
+              ) : null}
               <Button
                 variant="primary"
                 onClick={handleSave}
                 loading={saving}
-                disabled={saving}
+                disabled={saving || !tierValidation.ok}
               >
                 {mode === "edit" ? "Save changes" : "Create chart"}
               </Button>
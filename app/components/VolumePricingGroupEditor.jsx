@@ -0,0 +1,196 @@
+import {
+  BlockStack,
+  Box,
+  Button,
+  Card,
+  DataTable,
+  InlineStack,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { ProductSelectorsPicker } from "./ProductSelectorsPicker";
+import {
+  describeVolumeTier,
+  validateVolumeTiers,
+  volumeTierPreview,
+} from "../lib/volumePricingTiers";
+
+const TIER_TYPE_OPTIONS = [
+  { label: "Amount off each", value: "CENTS_OFF_EACH" },
+  { label: "Percent off", value: "PERCENT_OFF" },
+  { label: "Fixed unit price", value: "FIXED_UNIT_PRICE" },
+];
+
+const SCOPE_OPTIONS = [
+  { label: "Whole group (mix and match)", value: "GROUP" },
+  { label: "Per product", value: "PRODUCT" },
+  { label: "Per variant", value: "VARIANT" },
+];
+
+/**
+ * One volume pricing group in Settings: name, mix-and-match scope, eligibility rules
+ * and tier table. group = { _key, id, name, scope, rules, rows } (rules are
+ * ProductSelectorsPicker rows, rows are volumePricingTiers.js editor rows).
+ * issues = validateVolumeGroups' issues for this group; status = the group's last synced
+ * eligibility ({ productCount, warnings }) or null.
+ */
+export function VolumePricingGroupEditor({ group, issues, status, onChange, onRemove }) {
+  const tierIssues = issues?.tiers || [];
+  const issueFor = (index, field) =>
+    tierIssues.find((i) => i.index === index && i.field === field);
+
+  const setRows = (rows) => onChange({ ...group, rows });
+  const updateRow = (key, patch) =>
+    setRows(group.rows.map((row) => (row._key === key ? { ...row, ...patch } : row)));
+
+  // Empty until the whole table is valid
+  const preview = volumeTierPreview(validateVolumeTiers(group.rows).tiers);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="end" gap="300">
+          <InlineStack gap="300" blockAlign="start">
+            <TextField
+              label="Group name"
+              value={group.name}
+              onChange={(name) => onChange({ ...group, name })}
+              error={issues?.name || undefined}
+              autoComplete="off"
+            />
+            <Select
+              label="Count quantities"
+              options={SCOPE_OPTIONS}
+              value={group.scope}
+              onChange={(scope) => onChange({ ...group, scope })}
+            />
+          </InlineStack>
+          <Button tone="critical" onClick={onRemove}>
+            Remove group
+          </Button>
+        </InlineStack>
+
+        <Text as="p" variant="bodySm" tone="subdued">
+          {group.scope === "GROUP"
+            ? "Eligible quantities add up across every product in this group."
+            : group.scope === "PRODUCT"
+              ? "Each product reaches tiers on its own quantity (its variants add up)."
+              : "Each variant reaches tiers on its own quantity."}
+        </Text>
+
+        <Text variant="headingSm" as="h3">
+          Eligible products
+        </Text>
+        <ProductSelectorsPicker
+          selectors={group.rules}
+          onChange={(rules) => onChange({ ...group, rules })}
+          description={
+            "Products in any included collection or tag, or picked directly, count toward " +
+            "this group's tiers. Excluded products never do. A product in several groups " +
+            "counts toward the first one."
+          }
+        />
+        {status ? (
+          <Text as="p" variant="bodySm" tone={status.productCount ? undefined : "caution"}>
+            Eligible products: {status.productCount}
+            {status.warnings.length ? ` (warnings: ${status.warnings.join(", ")})` : ""}
+          </Text>
+        ) : (
+          <Text as="p" variant="bodySm" tone="subdued">
+            Not synced yet. Saving pulls the matching products from Shopify.
+          </Text>
+        )}
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingSm" as="h3">
+            Tiers
+          </Text>
+          <Button
+            onClick={() =>
+              setRows([
+                ...group.rows,
+                {
+                  _key: crypto.randomUUID(),
+                  minEligibleQty: "",
+                  type: "CENTS_OFF_EACH",
+                  value: "",
+                },
+              ])
+            }
+          >
+            Add tier
+          </Button>
+        </InlineStack>
+
+        {group.rows.length === 0 ? (
+          <Text as="p" variant="bodySm" tone="subdued">
+            No tiers yet.
+          </Text>
+        ) : null}
+
+        {group.rows.map((row, index) => {
+          const qtyIssue = issueFor(index, "minEligibleQty");
+          const valueIssue = issueFor(index, "value");
+          return (
+            <InlineStack key={row._key} gap="300" blockAlign="start">
+              <TextField
+                label="Minimum eligible quantity"
+                type="number"
+                value={row.minEligibleQty}
+                onChange={(v) => updateRow(row._key, { minEligibleQty: v })}
+                error={qtyIssue?.level === "error" ? qtyIssue.message : undefined}
+                autoComplete="off"
+              />
+              <Select
+                label="Tier type"
+                options={TIER_TYPE_OPTIONS}
+                value={row.type}
+                onChange={(v) => updateRow(row._key, { type: v })}
+              />
+              <TextField
+                label={row.type === "FIXED_UNIT_PRICE" ? "Price per unit" : "Discount per unit"}
+                type="number"
+                prefix={row.type === "PERCENT_OFF" ? undefined : "$"}
+                suffix={row.type === "PERCENT_OFF" ? "%" : undefined}
+                value={row.value}
+                onChange={(v) => updateRow(row._key, { value: v })}
+                error={valueIssue?.level === "error" ? valueIssue.message : undefined}
+                helpText={valueIssue?.level === "warning" ? valueIssue.message : undefined}
+                autoComplete="off"
+              />
+              <Box paddingBlockStart="600">
+                <Button
+                  tone="critical"
+                  onClick={() => setRows(group.rows.filter((r) => r._key !== row._key))}
+                >
+                  Remove
+                </Button>
+              </Box>
+            </InlineStack>
+          );
+        })}
+
+        {preview.length ? (
+          <BlockStack gap="100">
+            <Text variant="headingSm" as="h3">
+              Preview
+            </Text>
+            <DataTable
+              columnContentTypes={["text", "text"]}
+              headings={["Eligible quantity", "Volume discount"]}
+              rows={preview.map((band) => [
+                band.toQty == null
+                  ? `${band.fromQty}+`
+                  : band.toQty === band.fromQty
+                    ? String(band.fromQty)
+                    : `${band.fromQty}–${band.toQty}`,
+                band.tier ? describeVolumeTier(band.tier) : "No discount",
+              ])}
+            />
+          </BlockStack>
+        ) : null}
+      </BlockStack>
+    </Card>
+  );
+}
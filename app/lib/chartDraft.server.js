@@ -0,0 +1,52 @@
+// app/lib/chartDraft.server.js
+import { parseChartEditorPayload } from "./chartEditorPayload.server";
+import { compileChart } from "./rateTable.server";
+
+/**
+ * Unsaved chart edits -> a compiled rate-table chart (compileChart in
+ * rateTable.server.js), so the rate simulator can quote it without saving. Parsed by
+ * the same code as the chart editor actions; nothing is written.
+ *
+ * payload = the chart editor's onSave payload. base = { id, shop, priority, createdAt,
+ * selectors } from the saved chart; base.selectors is only used when the payload has
+ * none. A new chart (no base.createdAt) sorts as the newest, as it would once saved.
+ *
+ * @returns {{ ok: boolean, tierIssues: Array, destinationIssues: Array, chart: Object }}
+ * ok = false when saving would reject the payload (see parseChartEditorPayload).
+ */
+
+// compileRateTable's tier order: min then max ascending, SQLite puts a null max first
+function compareStoredTiers(a, b) {
+  if (a.minCents !== b.minCents) return a.minCents - b.minCents;
+  if (a.maxCents === b.maxCents) return 0;
+  if (a.maxCents == null) return -1;
+  if (b.maxCents == null) return 1;
+  return a.maxCents - b.maxCents;
+}
+
+export function chartFromEditorPayload(payload, base = {}) {
+  const parsed = parseChartEditorPayload(payload);
+
+  const chart = compileChart({
+    ...parsed.data,
+    id: base.id || "draft",
+    shop: base.shop,
+    name: parsed.data.name || "Unsaved chart",
+    priority: base.priority ?? 0,
+    createdAt: base.createdAt ?? new Date(),
+    tiers: parsed.tiers
+      .map((t, idx) => ({ ...t, id: `draft-tier-${idx}` }))
+      .sort(compareStoredTiers),
+    selectors: parsed.selectors ?? (Array.isArray(base.selectors) ? base.selectors : []),
+    destinationRules: parsed.destinationRules,
+    // compileRateTable only loads active services
+    services: parsed.services.filter((s) => s.isActive),
+  });
+
+  return {
+    ok: parsed.ok,
+    tierIssues: parsed.tierIssues,
+    destinationIssues: parsed.destinationIssues,
+    chart,
+  };
+}
@@ -0,0 +1,180 @@
+// app/lib/chartEditorPayload.server.js
+import { formatRangeValue, toCentsOrNull, toDaysOrNull, toStoredRangeValue } from "./chartUnits";
+import { normalizeChartServices, normalizeServiceCode } from "./chartServices.server";
+import { normalizeDestinationRules, validateDestinationRules } from "./destinationRules.server";
+import { normalizeMatrixRates, normalizeMatrixRegions } from "./rateMatrix.server";
+import { normalizeChartSelectors } from "./selectorEngine.server";
+import { validateTiers } from "./tierValidation";
+
+/**
+ * Chart editor payload -> ShippingChart rows (server-only, NO Shopify calls). One parser
+ * for the create/edit actions and the simulator's unsaved drafts, so a draft is quoted
+ * exactly as saving would store it.
+ *
+ * payload = the chart editor's onSave payload (ShippingChartEditorForm); the actions
+ * rebuild it from their form fields with chartPayloadFromFormData.
+ *
+ * @returns {{ ok: boolean, tierIssues: Array, destinationIssues: Array, data: Object,
+ *   tiers: Array, destinationRules: Array, services: Array, selectors: Array|null }}
+ * ok = false when validateTiers finds errors (tierIssues = those errors) or a destination
+ * rule is unusable (destinationIssues, from validateDestinationRules). data = the
+ * chart's own columns; tiers/destinationRules/services/selectors = nested create rows.
+ * selectors is null when the payload has none (the draft keeps the saved chart's).
+ */
+
+function parseJsonList(v) {
+  try {
+    const parsed = JSON.parse(String(v || "[]"));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * The editor pages post the payload as form fields, list fields as JSON strings.
+ */
+export function chartPayloadFromFormData(formData) {
+  const str = (key) => {
+    const v = formData.get(key);
+    return v == null ? "" : String(v);
+  };
+  return {
+    name: str("name"),
+    isActive: (str("isActive") || "true") === "true",
+    requireAllItemsMatch: str("requireAllItemsMatch") === "true",
+    basisType: str("basisType"),
+    weightUnit: str("weightUnit"),
+    chartType: str("chartType"),
+    matrixRegions: parseJsonList(formData.get("matrixRegions")),
+    services: parseJsonList(formData.get("services")),
+    selectors: parseJsonList(formData.get("selectors")),
+    tiers: parseJsonList(formData.get("tiers")),
+    destinationRules: parseJsonList(formData.get("destinationRules")),
+    handlingDays: str("handlingDays"),
+    transitDaysMin: str("transitDaysMin"),
+    transitDaysMax: str("transitDaysMax"),
+    descriptionTemplate: str("descriptionTemplate"),
+    freeShippingThreshold: str("freeShippingThreshold"),
+    fallbackRate: str("fallbackRate"),
+    handlingFee: str("handlingFee") || "0",
+    maxRate: str("maxRate"),
+    capPercentOfMax: str("capPercentOfMax"),
+    defaultServiceCode: str("defaultServiceCode"),
+  };
+}
+
+function makeTierName({ minLabel, maxLabel, priceType, flatPriceCents, percentBps, isMatrix }) {
+  const range = maxLabel == null ? `${minLabel}+` : `${minLabel}–${maxLabel}`;
+
+  if (isMatrix) return range;
+
+  if (priceType === "PERCENT_OF_BASIS") {
+    const pct = percentBps == null ? "0" : (percentBps / 100).toString();
+    return `${range} @ ${pct}%`;
+  }
+
+  const flat = flatPriceCents == null ? "0.00" : (flatPriceCents / 100).toFixed(2);
+  return `${range} → $${flat}`;
+}
+
+export function parseChartEditorPayload(payload) {
+  const p = payload && typeof payload === "object" ? payload : {};
+  const basisType = p.basisType === "WEIGHT" ? "WEIGHT" : "MERCHANDISE_PRE_DISCOUNT";
+  const weightUnit = p.weightUnit === "KG" ? "KG" : "LB";
+  const units = { basisType, weightUnit };
+  const chartType = p.chartType === "MATRIX" ? "MATRIX" : "TIERED";
+  const fallbackRateCents = toCentsOrNull(p.fallbackRate);
+  const capPercent =
+    String(p.capPercentOfMax ?? "").trim() === "" ? NaN : Number(p.capPercentOfMax);
+
+  const tiers = Array.isArray(p.tiers) ? p.tiers : [];
+  const matrixRegions = normalizeMatrixRegions(p.matrixRegions);
+  const regionKeys = matrixRegions.map((r) => r.key);
+  const services = normalizeChartServices(p.services);
+  const serviceCodes = new Set(services.map((s) => s.code));
+
+  // Same checks the editor runs; unknown service codes are priced as base tiers below
+  const tierValidation = validateTiers({
+    tiers: tiers.map((t) => ({ ...t, serviceCode: normalizeServiceCode(t?.serviceCode) })),
+    basisType,
+    weightUnit,
+    chartType,
+    regions: matrixRegions,
+    hasFallback: fallbackRateCents != null,
+    serviceCodes: [...serviceCodes],
+  });
+
+  // No filtering: validateTiers rejects tiers without a rate (and matrix bands without
+  // any region rate), so every row of a valid payload is stored
+  const tierRows = tiers.map((t, idx) => {
+    // Stored in the chart's basis unit (cents or grams); column names predate WEIGHT
+    const minCents = toStoredRangeValue(t?.minValue, units);
+    const maxCents = toStoredRangeValue(t?.maxValue, units);
+    const priceType = t?.rateType === "PERCENT" ? "PERCENT_OF_BASIS" : "FLAT";
+    const flatPriceCents = priceType === "FLAT" ? toCentsOrNull(t?.rateValue) : null;
+    // percentBps = percent * 100 (e.g. 6% => 600 bps)
+    const percentBps =
+      priceType === "PERCENT_OF_BASIS" ? Math.round(Number(t?.rateValue ?? 0) * 100) : null;
+    const serviceCode = normalizeServiceCode(t?.serviceCode);
+
+    return {
+      name: makeTierName({
+        minLabel: formatRangeValue(t?.minValue ?? 0, units),
+        maxLabel: maxCents == null ? null : formatRangeValue(t?.maxValue, units),
+        priceType,
+        flatPriceCents,
+        percentBps,
+        isMatrix: chartType === "MATRIX",
+      }),
+      minCents: minCents ?? 0,
+      maxCents,
+      priceType,
+      flatPriceCents,
+      percentBps,
+      matrixRatesJson:
+        chartType === "MATRIX"
+          ? JSON.stringify(normalizeMatrixRates(t?.matrixRates, regionKeys))
+          : "{}",
+      // Unknown/removed service codes fall back to base tiers
+      serviceCode: serviceCodes.has(serviceCode) ? serviceCode : null,
+      isActive: true,
+      sortOrder: Number.isFinite(Number(t?.priority)) ? Number(t.priority) : idx,
+    };
+  });
+
+  const destinationIssues = validateDestinationRules(p.destinationRules);
+
+  return {
+    ok: tierValidation.ok && destinationIssues.length === 0,
+    tierIssues: tierValidation.issues.filter((i) => i.level === "error"),
+    destinationIssues,
+    data: {
+      name: String(p.name || "").trim(),
+      isActive: p.isActive !== false,
+      chartType,
+      matrixRegionsJson: JSON.stringify(matrixRegions),
+      // Delivery estimate, business days (blank = none)
+      handlingDays: toDaysOrNull(p.handlingDays),
+      transitDaysMin: toDaysOrNull(p.transitDaysMin),
+      transitDaysMax: toDaysOrNull(p.transitDaysMax),
+      descriptionTemplate: String(p.descriptionTemplate || "").trim() || null,
+      freeShippingThresholdCents: toCentsOrNull(p.freeShippingThreshold),
+      fallbackRateCents,
+      basisType,
+      weightUnit,
+      requireAllItemsMatch: p.requireAllItemsMatch === true,
+      // Returned as service_code by /api/rates for charts without their own services
+      defaultServiceCode: normalizeServiceCode(p.defaultServiceCode),
+      handlingFeeCents: toCentsOrNull(p.handlingFee) ?? 0,
+      maxRateCents: toCentsOrNull(p.maxRate),
+      capPercentOfMax: Number.isFinite(capPercent)
+        ? Math.min(Math.max(Math.round(capPercent), 1), 100)
+        : 90,
+    },
+    tiers: tierRows,
+    destinationRules: normalizeDestinationRules(p.destinationRules),
+    services,
+    selectors: Array.isArray(p.selectors) ? normalizeChartSelectors(p.selectors) : null,
+  };
+}
@@ -0,0 +1,130 @@
+// app/lib/chartServices.server.js
+import { toDaysOrNull } from "./chartUnits";
+import { normalizeServiceCode } from "./serviceCodes";
+
+/**
+ * Per-chart service levels (server-only, NO Shopify calls).
+ * - A chart without active services returns one rate priced from its base tiers,
+ *   service_code = chart.defaultServiceCode (chart id when unset)
+ * - A chart with services returns one rate per active service, service_code = service.code
+ * - A service with its own tiers (ShippingTier.serviceCode = code) is priced from those only
+ * - Otherwise it reuses the base tiers (serviceCode null): rate x multiplierBps / 10000 + surchargeCents
+ */
+
+export { normalizeServiceCode };
+
+/**
+ * Editor payload [{ code, name, multiplierPercent, surcharge, isActive }] -> service rows.
+ * Blank codes fall back to the name; duplicates keep the first row.
+ */
+export function normalizeChartServices(raw) {
+  const out = [];
+  const seen = new Set();
+  for (const s of Array.isArray(raw) ? raw : []) {
+    const name = String(s?.name || "").trim();
+    const code = normalizeServiceCode(s?.code) || normalizeServiceCode(name);
+    if (!code || seen.has(code)) continue;
+    seen.add(code);
+
+    const pct = Number(s?.multiplierPercent);
+    const surcharge = Number(s?.surcharge);
+    out.push({
+      code,
+      name: name || code,
+      multiplierBps: Number.isFinite(pct) && pct >= 0 ? Math.round(pct * 100) : 10000,
+      surchargeCents: Number.isFinite(surcharge) ? Math.round(surcharge * 100) : 0,
+      // Delivery estimate overrides; null = chart values
+      handlingDays: toDaysOrNull(s?.handlingDays),
+      transitDaysMin: toDaysOrNull(s?.transitDaysMin),
+      transitDaysMax: toDaysOrNull(s?.transitDaysMax),
+      isActive: s?.isActive !== false,
+      sortOrder: out.length,
+    });
+  }
+  return out;
+}
+
+export function servicesToEditor(services) {
+  return (Array.isArray(services) ? services : []).map((s) => ({
+    code: s.code,
+    name: s.name,
+    multiplierPercent: (s.multiplierBps ?? 10000) / 100,
+    surcharge: (s.surchargeCents ?? 0) / 100,
+    handlingDays: s.handlingDays ?? null,
+    transitDaysMin: s.transitDaysMin ?? null,
+    transitDaysMax: s.transitDaysMax ?? null,
+    isActive: s.isActive !== false,
+  }));
+}
+
+/**
+ * Pricing plans for one chart: [{ service, tiers, adjust }]. service is null for
+ * charts without active services; adjust = apply the service multiplier/surcharge.
+ */
+export function chartServicePlans(chart) {
+  const tiers = Array.isArray(chart?.tiers) ? chart.tiers : [];
+  const baseTiers = tiers.filter((t) => !t.serviceCode);
+  const services = (Array.isArray(chart?.services) ? chart.services : [])
+    .filter((s) => s.isActive !== false)
+    .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+
+  if (services.length === 0) return [{ service: null, tiers: baseTiers, adjust: false }];
+
+  return services.map((service) => {
+    const own = tiers.filter((t) => t.serviceCode === service.code);
+    return own.length
+      ? { service, tiers: own, adjust: false }
+      : { service, tiers: baseTiers, adjust: true };
+  });
+}
+
+export function applyServiceAdjustment(rateCents, service) {
+  if (!service) return rateCents;
+  const bps = Number.isFinite(Number(service.multiplierBps)) ? Number(service.multiplierBps) : 10000;
+  const surcharge = Number.isFinite(Number(service.surchargeCents)) ? Number(service.surchargeCents) : 0;
+  return Math.max(0, Math.round((rateCents * bps) / 10000) + surcharge);
+}
+
+// App-defined codes always offered as a chart's default service code
+export const APP_SERVICE_CODES = [
+  { code: "STANDARD", name: "Standard" },
+  { code: "ECONOMY", name: "Economy" },
+  { code: "EXPEDITED", name: "Expedited" },
+  { code: "OVERNIGHT", name: "Overnight" },
+  { code: "FREIGHT", name: "Freight" },
+];
+
+/**
+ * Default-service select options: app codes + carrier services from servicesSnapshotJson
+ * (code derived from the service name) + the chart's own services. The currently saved
+ * code is kept even if it no longer appears anywhere, so saving doesn't silently drop it.
+ */
+export function buildServiceCodeOptions({ servicesSnapshotJson, chartServices, currentCode }) {
+  let snapshot = null;
+  try {
+    snapshot = JSON.parse(String(servicesSnapshotJson || "{}"));
+  } catch {
+    snapshot = null;
+  }
+
+  const options = [];
+  const seen = new Set();
+  function add(code, label) {
+    const value = normalizeServiceCode(code);
+    if (!value || seen.has(value)) return;
+    seen.add(value);
+    options.push({ label, value });
+  }
+
+  for (const s of APP_SERVICE_CODES) add(s.code, `${s.name} (${s.code})`);
+  for (const s of Array.isArray(snapshot?.services) ? snapshot.services : []) {
+    const code = normalizeServiceCode(s?.name);
+    add(code, `${s.name} (${code}) · carrier service${s.active ? "" : ", inactive"}`);
+  }
+  for (const s of Array.isArray(chartServices) ? chartServices : []) {
+    add(s.code, `${s.name || s.code} (${normalizeServiceCode(s.code)}) · this chart`);
+  }
+  if (currentCode) add(currentCode, `${normalizeServiceCode(currentCode)} (saved)`);
+
+  return options;
+}
@@ -0,0 +1,90 @@
+// app/lib/chartUnits.js
+
+/**
+ * Tier range units (shared by the chart editor routes and the editor form).
+ * - MERCHANDISE_PRE_DISCOUNT charts: ranges stored as integer cents, edited in dollars
+ * - WEIGHT charts: ranges stored as integer grams, edited in the chart's lb/kg unit
+ *
+ * Ranges live in ShippingTier.minCents / maxCents for both basis types.
+ * Also the editor's money and day-count parsing, shared by every chart save path.
+ */
+
+export const GRAMS_PER_UNIT = {
+  LB: 453.59237,
+  KG: 1000,
+};
+
+export const WEIGHT_UNIT_LABELS = {
+  LB: "lb",
+  KG: "kg",
+};
+
+/**
+ * Dollar amount from the editor -> integer cents. Blank or non-numeric = null.
+ */
+export function toCentsOrNull(amount) {
+  if (amount == null || String(amount).trim() === "") return null;
+  const n = Number(amount);
+  return Number.isFinite(n) ? Math.round(n * 100) : null;
+}
+
+/**
+ * Business-day count from the editor -> whole days >= 0. Blank or invalid = null.
+ */
+export function toDaysOrNull(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n) : null;
+}
+
+export function isWeightBasis(basisType) {
+  return basisType === "WEIGHT";
+}
+
+function gramsPerUnit(weightUnit) {
+  return GRAMS_PER_UNIT[weightUnit] ?? GRAMS_PER_UNIT.LB;
+}
+
+/**
+ * Editor value (dollars, lb or kg) -> stored integer (cents or grams). Null-safe.
+ */
+export function toStoredRangeValue(value, { basisType, weightUnit }) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  if (isWeightBasis(basisType)) return Math.round(n * gramsPerUnit(weightUnit));
+  return Math.round(n * 100);
+}
+
+/**
+ * Stored integer (cents or grams) -> editor value (dollars, lb or kg), 2 decimals.
+ */
+export function fromStoredRangeValue(stored, { basisType, weightUnit }) {
+  if (stored == null) return null;
+  const n = Number(stored);
+  if (!Number.isFinite(n)) return null;
+  if (isWeightBasis(basisType)) return Number((n / gramsPerUnit(weightUnit)).toFixed(2));
+  return n / 100;
+}
+
+/**
+ * Re-express an editor value when the weight unit changes (lb <-> kg).
+ */
+export function convertWeightValue(value, fromUnit, toUnit) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  return Number(((n * gramsPerUnit(fromUnit)) / gramsPerUnit(toUnit)).toFixed(2));
+}
+
+/**
+ * Human label for one range bound given in editor units, e.g. "$10.00" or "10.00 lb".
+ */
+export function formatRangeValue(value, { basisType, weightUnit }) {
+  const n = Number(value ?? 0);
+  const fixed = (Number.isFinite(n) ? n : 0).toFixed(2);
+  if (isWeightBasis(basisType)) {
+    return `${fixed} ${WEIGHT_UNIT_LABELS[weightUnit] ?? WEIGHT_UNIT_LABELS.LB}`;
+  }
+  return `$${fixed}`;
+}
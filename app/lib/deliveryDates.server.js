@@ -0,0 +1,169 @@
+// app/lib/deliveryDates.server.js
+import { toDaysOrNull } from "./chartUnits";
+
+/**
+ * Delivery date estimates (server-only, NO Shopify calls).
+ *
+ * ShopSettings.deliveryCalendarJson (v1):
+ * { version: 1, timezone: "America/New_York", cutoffTime: "14:00",
+ *   workDays: [1, 2, 3, 4, 5], holidays: ["2026-12-25"] }
+ * - workDays: 0 = Sunday ... 6 = Saturday; holidays are never business days
+ * - cutoffTime "" = no cutoff (orders count for today all day)
+ * - timezone "" = the shop's timezone (ShopSettings.shopTimezone, UTC if never synced)
+ *
+ * Counting (all in business days, in the shop timezone):
+ * - order day = today if it's a business day before cutoff, else the next business day
+ * - ship day = order day + handlingDays
+ * - delivery window = ship day + transitDaysMin .. ship day + transitDaysMax
+ */
+
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+// Guard against calendars that would never reach a business day
+const MAX_DAYS_SCANNED = 400;
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: String(tz) });
+    return Boolean(tz);
+  } catch {
+    return false;
+  }
+}
+
+function normalizeTime(v) {
+  const m = String(v || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return "";
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return "";
+  return `${String(h).padStart(2, "0")}:${m[2]}`;
+}
+
+export function normalizeDeliveryCalendar(raw) {
+  const c = raw && typeof raw === "object" ? raw : {};
+
+  const workDays = Array.from(
+    new Set(
+      (Array.isArray(c.workDays) ? c.workDays : DEFAULT_WORK_DAYS)
+        .map(Number)
+        .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+    )
+  ).sort();
+
+  const holidays = Array.from(
+    new Set(
+      (Array.isArray(c.holidays) ? c.holidays : String(c.holidays ?? "").split(/[,\n]/))
+        .map((d) => String(d || "").trim())
+        .filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))
+    )
+  ).sort();
+
+  return {
+    version: 1,
+    timezone: isValidTimeZone(c.timezone) ? String(c.timezone) : "",
+    cutoffTime: normalizeTime(c.cutoffTime),
+    workDays: workDays.length ? workDays : DEFAULT_WORK_DAYS,
+    holidays,
+  };
+}
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    ymd: `${get("year")}-${get("month")}-${get("day")}`,
+    hhmm: `${get("hour")}:${get("minute")}`,
+  };
+}
+
+// "GMT-04:00" -> "-0400" (Shopify's min/max_delivery_date offset format)
+function zonedOffset(date, timeZone) {
+  const name = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "longOffset" })
+    .formatToParts(date)
+    .find((p) => p.type === "timeZoneName")?.value;
+  const m = String(name || "").match(/GMT([+-])(\d{2}):(\d{2})/);
+  return m ? `${m[1]}${m[2]}${m[3]}` : "+0000";
+}
+
+// Plain calendar dates ("YYYY-MM-DD") are handled as UTC midnights
+function addDays(ymd, n) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function isBusinessDay(ymd, calendar) {
+  const weekday = new Date(`${ymd}T00:00:00Z`).getUTCDay();
+  return calendar.workDays.includes(weekday) && !calendar.holidays.includes(ymd);
+}
+
+function nextBusinessDay(ymd, calendar) {
+  let d = ymd;
+  for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+    d = addDays(d, 1);
+    if (isBusinessDay(d, calendar)) return d;
+  }
+  return null;
+}
+
+function addBusinessDays(ymd, n, calendar) {
+  let d = ymd;
+  for (let i = 0; i < n && d; i++) d = nextBusinessDay(d, calendar);
+  return d;
+}
+
+function toShopifyDate(ymd, timeZone) {
+  // Midday so the offset lookup never lands on the wrong side of a DST switch at midnight
+  const offset = zonedOffset(new Date(`${ymd}T12:00:00Z`), timeZone);
+  return `${ymd} 12:00:00 ${offset}`;
+}
+
+/**
+ * Service values override the chart's. Returns null when no transit time is configured.
+ */
+export function resolveDeliveryEstimate(chart, service) {
+  const pick = (key) => toDaysOrNull(service?.[key]) ?? toDaysOrNull(chart?.[key]);
+  const transitDaysMin = pick("transitDaysMin");
+  const transitDaysMax = pick("transitDaysMax");
+  if (transitDaysMin == null && transitDaysMax == null) return null;
+
+  const min = transitDaysMin ?? transitDaysMax;
+  const max = Math.max(transitDaysMax ?? min, min);
+  return { handlingDays: pick("handlingDays") ?? 0, transitDaysMin: min, transitDaysMax: max };
+}
+
+/**
+ * @returns {{ minDate: string, maxDate: string, minDeliveryDate: string, maxDeliveryDate: string }|null}
+ * minDate/maxDate are "YYYY-MM-DD"; the *DeliveryDate values are Shopify's response format.
+ */
+export function computeDeliveryWindow({ calendar, estimate, shopTimezone, now = new Date() }) {
+  if (!estimate) return null;
+  const cal = normalizeDeliveryCalendar(calendar);
+  const timeZone = cal.timezone || (isValidTimeZone(shopTimezone) ? shopTimezone : "UTC");
+
+  const { ymd: today, hhmm } = zonedParts(now, timeZone);
+  const beforeCutoff = !cal.cutoffTime || hhmm < cal.cutoffTime;
+  const orderDay =
+    isBusinessDay(today, cal) && beforeCutoff ? today : nextBusinessDay(today, cal);
+  if (!orderDay) return null;
+
+  const shipDay = addBusinessDays(orderDay, estimate.handlingDays, cal);
+  const minDate = shipDay && addBusinessDays(shipDay, estimate.transitDaysMin, cal);
+  const maxDate = shipDay && addBusinessDays(shipDay, estimate.transitDaysMax, cal);
+  if (!minDate || !maxDate) return null;
+
+  return {
+    minDate,
+    maxDate,
+    minDeliveryDate: toShopifyDate(minDate, timeZone),
+    maxDeliveryDate: toShopifyDate(maxDate, timeZone),
+  };
+}
@@ -0,0 +1,163 @@
+// app/lib/destinationRules.server.js
+
+/**
+ * Per-chart destination targeting (server-only, NO Shopify calls).
+ * - EXCLUDE wins: a destination matching any EXCLUDE rule skips the chart
+ * - Geographic INCLUDE rules (COUNTRY / PROVINCE) are OR'd together
+ * - POSTAL_CODE INCLUDE rules are OR'd together, then AND'd with the geographic ones
+ *   (e.g. include country US + postal 9* = US destinations whose ZIP starts with 9)
+ * - No INCLUDE rules = every destination (minus exclusions)
+ *
+ * Rule values:
+ * - COUNTRY      "US"
+ * - PROVINCE     "US-CA" (country + province code)
+ * - POSTAL_CODE  prefix "902" or "902*", or inclusive range "90001..90299"
+ */
+
+const RULE_TYPES = ["COUNTRY", "PROVINCE", "POSTAL_CODE"];
+
+const VALUE_HINTS = {
+  COUNTRY: "isn't a two-letter country code (e.g. US)",
+  PROVINCE: "isn't a country-province code (e.g. US-CA)",
+  POSTAL_CODE: "isn't a postal code prefix (e.g. 902*) or range (e.g. 90001..90299)",
+};
+
+function normCode(v) {
+  return String(v || "").trim().toUpperCase();
+}
+
+// Postal codes compare without spaces/dashes: "K1A 0B1" -> "K1A0B1", "90210-1234" -> "902101234"
+function normPostal(v) {
+  return String(v || "").toUpperCase().replace(/[\s-]/g, "");
+}
+
+/**
+ * Clean one editor value; returns "" when the value can't be used.
+ */
+export function normalizeDestinationRuleValue(type, value) {
+  if (type === "COUNTRY") {
+    const code = normCode(value);
+    return /^[A-Z]{2}$/.test(code) ? code : "";
+  }
+
+  if (type === "PROVINCE") {
+    const m = normCode(value).match(/^([A-Z]{2})[-:\s]+([A-Z0-9]{1,3})$/);
+    return m ? `${m[1]}-${m[2]}` : "";
+  }
+
+  if (type === "POSTAL_CODE") {
+    const raw = String(value || "").trim();
+    if (raw.includes("..")) {
+      const [from, to] = raw.split("..").map(normPostal);
+      if (!from || !to) return "";
+      return from <= to ? `${from}..${to}` : `${to}..${from}`;
+    }
+    return normPostal(raw.replace(/\*+$/, ""));
+  }
+
+  return "";
+}
+
+/**
+ * Editor payload [{ mode, type, value }] -> rules that normalizeDestinationRules would drop.
+ * @returns {Array<{ index: number, field: string|null, message: string }>}
+ * field = "<mode>.<type>" (the editor's text field), null when mode/type is unknown.
+ */
+export function validateDestinationRules(rules) {
+  const issues = [];
+  (Array.isArray(rules) ? rules : []).forEach((r, index) => {
+    if (r?.mode !== "INCLUDE" && r?.mode !== "EXCLUDE") {
+      issues.push({ index, field: null, message: `Unknown rule mode "${r?.mode ?? ""}"` });
+      return;
+    }
+    if (!RULE_TYPES.includes(r?.type)) {
+      issues.push({ index, field: null, message: `Unknown rule type "${r?.type ?? ""}"` });
+      return;
+    }
+    if (normalizeDestinationRuleValue(r.type, r.value)) return;
+    const value = String(r.value ?? "").trim();
+    issues.push({
+      index,
+      field: `${r.mode}.${r.type}`,
+      message: value ? `"${value}" ${VALUE_HINTS[r.type]}` : "Enter a value",
+    });
+  });
+  return issues;
+}
+
+/**
+ * Editor payload [{ mode, type, value }] -> clean, de-duplicated rule rows.
+ * Unusable rules are skipped; validateDestinationRules reports them.
+ */
+export function normalizeDestinationRules(rules) {
+  const out = [];
+  const seen = new Set();
+  for (const r of Array.isArray(rules) ? rules : []) {
+    const mode = r?.mode === "EXCLUDE" ? "EXCLUDE" : "INCLUDE";
+    const type = RULE_TYPES.includes(r?.type) ? r.type : null;
+    if (!type) continue;
+    const value = normalizeDestinationRuleValue(type, r?.value);
+    if (!value) continue;
+    const key = `${mode}|${type}|${value}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ mode, type, value });
+  }
+  return out;
+}
+
+function postalMatches(ruleValue, postal) {
+  if (!postal) return false;
+  if (ruleValue.includes("..")) {
+    const [from, to] = ruleValue.split("..");
+    // Compare on the range's own length so "90001..90299" covers ZIP+4 too
+    const len = Math.max(from.length, to.length);
+    const p = postal.slice(0, len);
+    return p.length === len && p >= from && p <= to;
+  }
+  return postal.startsWith(ruleValue);
+}
+
+function ruleMatches(rule, { country, province, postal }) {
+  const value = String(rule?.value || "");
+  if (rule?.type === "COUNTRY") return normCode(value) === country;
+  if (rule?.type === "PROVINCE") return normCode(value) === `${country}-${province}`;
+  if (rule?.type === "POSTAL_CODE") {
+    return postalMatches(normalizeDestinationRuleValue("POSTAL_CODE", value), postal);
+  }
+  return false;
+}
+
+/**
+ * @param {Object} args
+ * @param {Array} args.rules ShippingDestinationRule rows for one chart
+ * @param {Object} args.destination { countryCode, provinceCode, postalCode }
+ * @returns {{ applies: boolean, reason: string }}
+ */
+export function evaluateDestinationRules({ rules, destination }) {
+  const list = Array.isArray(rules) ? rules : [];
+  if (list.length === 0) return { applies: true, reason: "no_destination_rules" };
+
+  const dest = {
+    country: normCode(destination?.countryCode),
+    province: normCode(destination?.provinceCode),
+    postal: normPostal(destination?.postalCode),
+  };
+
+  if (list.some((r) => r?.mode === "EXCLUDE" && ruleMatches(r, dest))) {
+    return { applies: false, reason: "destination_excluded" };
+  }
+
+  const includes = list.filter((r) => r?.mode === "INCLUDE");
+  const geoIncludes = includes.filter((r) => r.type === "COUNTRY" || r.type === "PROVINCE");
+  const postalIncludes = includes.filter((r) => r.type === "POSTAL_CODE");
+
+  if (geoIncludes.length && !geoIncludes.some((r) => ruleMatches(r, dest))) {
+    return { applies: false, reason: "destination_not_included" };
+  }
+  if (postalIncludes.length && !postalIncludes.some((r) => ruleMatches(r, dest))) {
+    return { applies: false, reason: "postal_code_not_included" };
+  }
+
+  return { applies: true, reason: "destination_matched" };
+}
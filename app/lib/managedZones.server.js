@@ -0,0 +1,153 @@
+// app/lib/managedZones.server.js
+
+/**
+ * Managed-zone destination gate (server-only, NO Shopify calls).
+ *
+ * managedZoneConfigJson shape (v1, JSON array):
+ * [
+ *   { zoneId: "gid://shopify/DeliveryZone/1" },                       // whole zone
+ *   { zoneId: "gid://shopify/DeliveryZone/2", countries: [
+ *       { code: "US" },                                               // whole country
+ *       { code: "CA", provinces: ["ON", "QC"] },                      // listed provinces only
+ *   ] },
+ * ]
+ * - `countries` missing/null = every country in the zone (resolved from zonesSnapshotJson)
+ * - `provinces` missing/null = every province of that country in the zone
+ * - Bare zone ID strings are accepted as whole-zone entries (legacy managedZoneIdsJson shape)
+ *
+ * An empty config means "not gated": the app returns rates everywhere.
+ */
+
+const REST_OF_WORLD = "REST_OF_WORLD";
+
+function normCode(v) {
+  return String(v || "").trim().toUpperCase();
+}
+
+function normalizeCountrySelection(c) {
+  const code = normCode(c?.code);
+  if (!code) return null;
+  const provinces = Array.isArray(c?.provinces)
+    ? c.provinces.map(normCode).filter(Boolean)
+    : null;
+  return { code, provinces };
+}
+
+export function normalizeManagedZoneConfig(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  const out = [];
+  for (const entry of raw) {
+    if (typeof entry === "string") {
+      if (entry.trim()) out.push({ zoneId: entry.trim(), countries: null });
+      continue;
+    }
+    const zoneId = String(entry?.zoneId || "").trim();
+    if (!zoneId) continue;
+
+    const countries = Array.isArray(entry?.countries)
+      ? entry.countries.map(normalizeCountrySelection).filter(Boolean)
+      : null;
+
+    // A zone entry with an explicit but empty country list selects nothing
+    if (countries && countries.length === 0) continue;
+
+    out.push({ zoneId, countries });
+  }
+  return out;
+}
+
+function snapshotZones(zonesSnapshot) {
+  return Array.isArray(zonesSnapshot?.zones) ? zonesSnapshot.zones : [];
+}
+
+// Both sync paths store "rest of world" differently: REST_OF_WORLD code or dropped (null).
+function isRestOfWorldCountry(c) {
+  return normCode(c?.code) === REST_OF_WORLD;
+}
+
+function countryCoveredByAnyZone(zonesSnapshot, countryCode) {
+  return snapshotZones(zonesSnapshot).some((z) =>
+    (z?.countries || []).some((c) => normCode(c?.code) === countryCode)
+  );
+}
+
+function provinceAllowed(allowedProvinceCodes, provinceCode) {
+  if (!allowedProvinceCodes || allowedProvinceCodes.length === 0) return true;
+  // Destination without a province can't be narrowed further; treat as covered.
+  if (!provinceCode) return true;
+  return allowedProvinceCodes.includes(provinceCode);
+}
+
+/**
+ * True when the destination falls inside the zone as defined by the snapshot.
+ */
+export function zoneContainsDestination(zone, { countryCode, provinceCode, zonesSnapshot }) {
+  const country = normCode(countryCode);
+  const province = normCode(provinceCode);
+  if (!zone || !country) return false;
+
+  for (const c of zone.countries || []) {
+    if (isRestOfWorldCountry(c)) {
+      if (!countryCoveredByAnyZone(zonesSnapshot, country)) return true;
+      continue;
+    }
+    if (normCode(c?.code) !== country) continue;
+
+    const zoneProvinces = (c?.provinces || []).map((p) => normCode(p?.code)).filter(Boolean);
+    if (provinceAllowed(zoneProvinces, province)) return true;
+  }
+  return false;
+}
+
+/**
+ * @param {Object} args
+ * @param {Array} args.config normalized managed zone config
+ * @param {Object|null} args.zonesSnapshot parsed zonesSnapshotJson
+ * @param {string} args.countryCode destination country (ISO alpha-2)
+ * @param {string} args.provinceCode destination province code
+ * @returns {{ gated: boolean, managed: boolean, zoneId: string|null }}
+ */
+export function evaluateManagedZones({ config, zonesSnapshot, countryCode, provinceCode }) {
+  const entries = Array.isArray(config) ? config : [];
+  if (entries.length === 0) return { gated: false, managed: true, zoneId: null };
+
+  const country = normCode(countryCode);
+  const province = normCode(provinceCode);
+  const zonesById = new Map(snapshotZones(zonesSnapshot).map((z) => [z.id, z]));
+
+  for (const entry of entries) {
+    const zone = zonesById.get(entry.zoneId) || null;
+
+    if (!entry.countries) {
+      // Whole zone: needs the snapshot to know what the zone covers
+      if (zoneContainsDestination(zone, { countryCode: country, provinceCode: province, zonesSnapshot })) {
+        return { gated: true, managed: true, zoneId: entry.zoneId };
+      }
+      continue;
+    }
+
+    for (const sel of entry.countries) {
+      if (sel.code === REST_OF_WORLD) {
+        if (country && !countryCoveredByAnyZone(zonesSnapshot, country)) {
+          return { gated: true, managed: true, zoneId: entry.zoneId };
+        }
+        continue;
+      }
+      if (sel.code !== country) continue;
+
+      // Whole country: still respect the zone's own province coverage when known
+      let allowed = sel.provinces;
+      if (!allowed) {
+        const zoneCountry = (zone?.countries || []).find((c) => normCode(c?.code) === country);
+        allowed = (zoneCountry?.provinces || []).map((p) => normCode(p?.code)).filter(Boolean);
+      }
+
+      if (provinceAllowed(allowed, province)) {
+        return { gated: true, managed: true, zoneId: entry.zoneId };
+      }
+    }
+  }
+
+  return { gated: true, managed: false, zoneId: null };
+}
@@ -0,0 +1,183 @@
+// app/lib/productIndexSync.server.js
+import prisma from "../db.server";
+
+/**
+ * Builds the per-shop product index snapshot used by selectorEngine.server.js.
+ * Only tags/collections referenced by this shop's ShippingSelector rows are expanded,
+ * so the snapshot stays small enough to parse on every carrier callback.
+ *
+ * `adminGraphql(query, variables)` must resolve to the parsed GraphQL JSON body.
+ */
+
+const PAGE_SIZE = 250;
+// Safety cap per selector value (40 pages x 250 = 10k products)
+const MAX_PAGES = 40;
+
+function normalizeIdLike(v) {
+  if (v == null) return "";
+  const s = String(v).trim();
+  if (!s) return "";
+  const m = s.match(/\/(\d+)\s*$/);
+  if (m) return m[1];
+  return s;
+}
+
+function toCollectionGid(v) {
+  const s = String(v ?? "").trim();
+  if (s.startsWith("gid://")) return s;
+  return `gid://shopify/Collection/${normalizeIdLike(s)}`;
+}
+
+function tagSearchQuery(tag) {
+  // Shopify search syntax: quote the tag and escape embedded quotes
+  return `tag:"${String(tag).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Paged product lookups, also used by the volume eligibility sync.
+ * `tag` must be lowercase; returns numeric product IDs and whether MAX_PAGES cut it short.
+ */
+export async function fetchProductIdsByTag(adminGraphql, tag) {
+  const query = `#graphql
+    query ProductsByTag($first: Int!, $after: String, $query: String!) {
+      products(first: $first, after: $after, query: $query) {
+        nodes { id tags }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `;
+
+  const ids = [];
+  let after = null;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const json = await adminGraphql(query, {
+      first: PAGE_SIZE,
+      after,
+      query: tagSearchQuery(tag),
+    });
+    const conn = json?.data?.products;
+    for (const node of conn?.nodes ?? []) {
+      // Search is fuzzy; keep only exact (case-insensitive) tag hits
+      const tags = (node?.tags ?? []).map((t) => String(t).toLowerCase());
+      if (tags.includes(tag)) ids.push(normalizeIdLike(node.id));
+    }
+    if (!conn?.pageInfo?.hasNextPage) return { ids, truncated: false };
+    after = conn.pageInfo.endCursor;
+  }
+  return { ids, truncated: true };
+}
+
+export async function fetchProductIdsByCollection(adminGraphql, collectionId) {
+  const query = `#graphql
+    query CollectionProducts($id: ID!, $first: Int!, $after: String) {
+      collection(id: $id) {
+        products(first: $first, after: $after) {
+          nodes { id }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    }
+  `;
+
+  const ids = [];
+  let after = null;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const json = await adminGraphql(query, {
+      id: toCollectionGid(collectionId),
+      first: PAGE_SIZE,
+      after,
+    });
+    const conn = json?.data?.collection?.products;
+    for (const node of conn?.nodes ?? []) {
+      ids.push(normalizeIdLike(node.id));
+    }
+    if (!conn?.pageInfo?.hasNextPage) return { ids, truncated: false };
+    after = conn.pageInfo.endCursor;
+  }
+  return { ids, truncated: true };
+}
+
+export async function buildProductIndexSnapshot({ shop, adminGraphql }) {
+  const selectors = await prisma.shippingSelector.findMany({
+    where: {
+      type: { in: ["PRODUCT_TAG", "COLLECTION_ID"] },
+      chart: { shop },
+    },
+    select: { type: true, value: true },
+  });
+
+  const tags = new Set();
+  const collectionIds = new Set();
+  for (const s of selectors) {
+    if (s.type === "PRODUCT_TAG") {
+      const tag = String(s.value ?? "").trim().toLowerCase();
+      if (tag) tags.add(tag);
+    } else {
+      const id = normalizeIdLike(s.value);
+      if (id) collectionIds.add(id);
+    }
+  }
+
+  const products = {};
+  const entryFor = (productId) => {
+    if (!products[productId]) products[productId] = { tags: [], collectionIds: [] };
+    return products[productId];
+  };
+  const warnings = [];
+
+  for (const tag of tags) {
+    const { ids, truncated } = await fetchProductIdsByTag(adminGraphql, tag);
+    if (truncated) warnings.push(`tag_truncated:${tag}`);
+    for (const id of ids) entryFor(id).tags.push(tag);
+  }
+
+  for (const collectionId of collectionIds) {
+    const { ids, truncated } = await fetchProductIdsByCollection(adminGraphql, collectionId);
+    if (truncated) warnings.push(`collection_truncated:${collectionId}`);
+    for (const id of ids) entryFor(id).collectionIds.push(collectionId);
+  }
+
+  return {
+    version: 1,
+    pulledAt: new Date().toISOString(),
+    tags: Array.from(tags),
+    collectionIds: Array.from(collectionIds),
+    productCount: Object.keys(products).length,
+    warnings,
+    products,
+  };
+}
+
+/**
+ * Rebuild + persist the snapshot. Errors are recorded on ShopSettings and rethrown.
+ */
+export async function syncProductIndexForShop({ shop, adminGraphql }) {
+  try {
+    const snapshot = await buildProductIndexSnapshot({ shop, adminGraphql });
+
+    await prisma.shopSettings.upsert({
+      where: { shop },
+      create: {
+        shop,
+        productIndexSnapshotJson: JSON.stringify(snapshot),
+        productIndexLastSyncedAt: new Date(),
+        productIndexLastSyncError: null,
+      },
+      update: {
+        productIndexSnapshotJson: JSON.stringify(snapshot),
+        productIndexLastSyncedAt: new Date(),
+        productIndexLastSyncError: null,
+      },
+    });
+
+    return snapshot;
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    await prisma.shopSettings.upsert({
+      where: { shop },
+      create: { shop, productIndexLastSyncError: message },
+      update: { productIndexLastSyncError: message },
+    });
+    throw err;
+  }
+}
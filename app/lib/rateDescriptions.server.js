@@ -0,0 +1,117 @@
+// app/lib/rateDescriptions.server.js
+import { evaluateDestinationRules } from "./destinationRules.server";
+
+/**
+ * Customer-facing rate descriptions (server-only, NO Shopify calls).
+ *
+ * ShippingChart.descriptionTemplate placeholders:
+ * - {service_name}         chart / service name shown at checkout
+ * - {tier_name}            matched tier (e.g. "$50.00–$99.99 → $8.00")
+ * - {next_tier_gap}        spend needed to reach the next cheaper tier, e.g. "$12.50"
+ * - {delivery_window}      e.g. "Oct 22" or "Oct 22–Oct 27"
+ * - {free_shipping_gap}    spend needed to reach free shipping, e.g. "$20.00"
+ *                          (chart free-shipping threshold, else the first $0 tier above the cart)
+ * - {free_shipping_threshold}  chart free-shipping threshold, e.g. "$75.00"
+ *
+ * Text in [square brackets] is dropped when any placeholder inside it is empty, so
+ * "[Arrives {delivery_window}][ • Spend {free_shipping_gap} more for free shipping]" reads well either way.
+ * Blank template = DEFAULT_DESCRIPTION_TEMPLATE.
+ *
+ * ShopSettings.rateDebugJson: { mode: "OFF" | "ALL" | "TEST_DESTINATIONS", destinations: ["US-CA", "99999"] }
+ * Diagnostic text is only appended when debug applies to the destination.
+ */
+
+export const DEFAULT_DESCRIPTION_TEMPLATE =
+  "[Arrives {delivery_window}][ • Spend {free_shipping_gap} more for free shipping]";
+
+export const DESCRIPTION_PLACEHOLDERS = [
+  "service_name",
+  "tier_name",
+  "next_tier_gap",
+  "delivery_window",
+  "free_shipping_gap",
+  "free_shipping_threshold",
+];
+
+export const RATE_DEBUG_MODES = ["OFF", "ALL", "TEST_DESTINATIONS"];
+
+export function formatMoneyCents(cents) {
+  return `$${(Number(cents || 0) / 100).toFixed(2)}`;
+}
+
+function formatShortDate(ymd) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: "UTC",
+    month: "short",
+    day: "numeric",
+  }).format(new Date(`${ymd}T00:00:00Z`));
+}
+
+export function formatDeliveryWindow(deliveryWindow) {
+  if (!deliveryWindow?.minDate) return "";
+  const min = formatShortDate(deliveryWindow.minDate);
+  if (!deliveryWindow.maxDate || deliveryWindow.maxDate === deliveryWindow.minDate) return min;
+  return `${min}–${formatShortDate(deliveryWindow.maxDate)}`;
+}
+
+function fillPlaceholders(text, values) {
+  let missing = false;
+  const out = text.replace(/\{([a-z_]+)\}/g, (whole, key) => {
+    if (!DESCRIPTION_PLACEHOLDERS.includes(key)) return whole;
+    const v = values?.[key];
+    if (v == null || v === "") {
+      missing = true;
+      return "";
+    }
+    return String(v);
+  });
+  return { out, missing };
+}
+
+export function renderDescriptionTemplate(template, values) {
+  const source = String(template || "").trim() || DEFAULT_DESCRIPTION_TEMPLATE;
+
+  // Optional sections first, then the rest of the template
+  const withSections = source.replace(/\[([^\]]*)\]/g, (_, inner) => {
+    const { out, missing } = fillPlaceholders(inner, values);
+    return missing ? "" : out;
+  });
+
+  // Drop separators left dangling by removed sections ("• Spend $5.00 more...")
+  return fillPlaceholders(withSections, values)
+    .out.replace(/\s{2,}/g, " ")
+    .replace(/^[\s•|-]+|[\s•|-]+$/g, "");
+}
+
+function debugDestinationRule(value) {
+  const v = String(value || "").trim().toUpperCase();
+  if (/^[A-Z]{2}$/.test(v)) return { mode: "INCLUDE", type: "COUNTRY", value: v };
+  if (/^[A-Z]{2}-[A-Z0-9]{1,3}$/.test(v)) return { mode: "INCLUDE", type: "PROVINCE", value: v };
+  return { mode: "INCLUDE", type: "POSTAL_CODE", value: v };
+}
+
+export function normalizeRateDebug(raw) {
+  const mode = RATE_DEBUG_MODES.includes(raw?.mode) ? raw.mode : "OFF";
+  const list = Array.isArray(raw?.destinations)
+    ? raw.destinations
+    : String(raw?.destinations ?? "").split(/[,\n]/);
+  const destinations = Array.from(
+    new Set(list.map((d) => String(d || "").trim().toUpperCase()).filter(Boolean))
+  );
+  return { mode, destinations };
+}
+
+/**
+ * True when diagnostic text should be added for this destination.
+ * Test destinations match on country ("US"), province ("US-CA") or postal prefix ("99999").
+ */
+export function isRateDebugEnabled(rateDebug, destination) {
+  const cfg = normalizeRateDebug(rateDebug);
+  if (cfg.mode === "ALL") return true;
+  if (cfg.mode !== "TEST_DESTINATIONS") return false;
+
+  return cfg.destinations.some(
+    (d) =>
+      evaluateDestinationRules({ rules: [debugDestinationRule(d)], destination }).applies
+  );
+}
@@ -0,0 +1,550 @@
+// app/lib/rateEngine.server.js
+import { computeVolumeAdjustedMerchCents } from "./volumePricingEngine.server";
+import { evaluateManagedZones } from "./managedZones.server";
+import { evaluateDestinationRules } from "./destinationRules.server";
+import { matrixCellForTier, resolveMatrixRegion } from "./rateMatrix.server";
+import { applyServiceAdjustment, chartServicePlans } from "./chartServices.server";
+import { computeDeliveryWindow, resolveDeliveryEstimate } from "./deliveryDates.server";
+import {
+  formatDeliveryWindow,
+  formatMoneyCents,
+  isRateDebugEnabled,
+  renderDescriptionTemplate,
+} from "./rateDescriptions.server";
+import { normalizeShopFallback, recordRateFallback } from "./rateFallbacks.server";
+import { evaluateChartSelectors } from "./selectorEngine.server";
+
+/**
+ * Rate engine shared by /api/rates and the admin rate simulator (NO Shopify calls).
+ * Everything it reads comes from a compiled rate table, so a simulator can quote
+ * against saved charts or against a table with unsaved chart edits swapped in.
+ */
+
+export const RATE_COMBINATION_STRATEGIES = [
+  "ALL",
+  "HIGHEST_PRIORITY",
+  "CHEAPEST",
+  "CHEAPEST_PER_SERVICE",
+];
+
+/**
+ * Shop-level combination of chart rates. `rates` are in chart priority order (highest
+ * first); ties on price keep the higher-priority chart. Charts without services or a
+ * default service code return their chart id as service_code, so per-service
+ * grouping keeps each of them.
+ */
+export function combineChartRates(rates, strategy) {
+  if (rates.length < 2) return rates;
+
+  if (strategy === "HIGHEST_PRIORITY") {
+    const chartId = rates[0].chartId;
+    return rates.filter((r) => r.chartId === chartId);
+  }
+
+  if (strategy === "CHEAPEST") {
+    return [rates.reduce((best, r) => (r.priceCents < best.priceCents ? r : best))];
+  }
+
+  if (strategy === "CHEAPEST_PER_SERVICE") {
+    const codeOf = (r) => r.serviceCode ?? String(r.chartId);
+    const best = new Map();
+    for (const r of rates) {
+      const current = best.get(codeOf(r));
+      if (!current || r.priceCents < current.priceCents) best.set(codeOf(r), r);
+    }
+    return rates.filter((r) => best.get(codeOf(r)) === r);
+  }
+
+  return rates;
+}
+
+function isBetween(value, minCents, maxCents) {
+  if (value < minCents) return false;
+  if (maxCents == null) return true;
+  return value <= maxCents;
+}
+
+function getPayableMerchCentsFromPayload(payload) {
+  // Shopify "payable" (discounted) subtotal. Used only as fallback if volume-basis fails.
+  const r = payload?.rate || {};
+  const candidates = [
+    r?.order_total,
+    r?.order_total_price,
+    r?.order_totals?.total_price,
+    r?.order_totals?.order_total,
+    r?.order_totals?.subtotal_price,
+    r?.subtotal_price,
+    r?.total_price,
+  ];
+
+  for (const v of candidates) {
+    const n = Number(v);
+    if (Number.isFinite(n) && n >= 0) return n;
+  }
+  return null;
+}
+
+function computeTierPriceCents(tier, basisCents, handlingFeeCents = 0, service = null) {
+  const tierRateCents =
+    tier.priceType === "PERCENT_OF_BASIS"
+      ? Math.round((basisCents * (tier.percentBps ?? 0)) / 10000)
+      : tier.flatPriceCents ?? 0;
+
+  // Service multiplier/surcharge (base tiers only) applies to the tier rate
+  const serviceRateCents = applyServiceAdjustment(tierRateCents, service);
+
+  // Locked behavior: chart-level handlingFeeCents added after tier math
+  return serviceRateCents + (handlingFeeCents ?? 0);
+}
+
+/**
+ * Chart ceiling: maxRateCents * capPercentOfMax / 100 (e.g. $100 max @ 90% => $90).
+ * Applied to the final price (after handling fee). No maxRateCents = no cap.
+ */
+function applyRateCap(priceCents, chart) {
+  const maxRateCents = chart?.maxRateCents;
+  if (maxRateCents == null || !Number.isFinite(Number(maxRateCents))) {
+    return { priceCents, capped: false, capCents: null };
+  }
+
+  const pct = Number.isFinite(Number(chart?.capPercentOfMax))
+    ? Math.min(Math.max(Number(chart.capPercentOfMax), 0), 100)
+    : 90;
+  const capCents = Math.floor((Number(maxRateCents) * pct) / 100);
+
+  if (priceCents <= capCents) return { priceCents, capped: false, capCents };
+  return { priceCents: capCents, capped: true, capCents };
+}
+
+/**
+ * Spend needed (cents of merchandise basis) to reach the next tier that prices lower
+ * than the current rate, and the next tier that prices at $0. Merchandise charts only.
+ */
+function findCheaperTierGaps({ tiers, region, chart, service, basisCents, priceCents }) {
+  const gaps = { nextTierGapCents: null, freeShippingGapCents: null };
+  if (chart.basisType === "WEIGHT" || priceCents <= 0) return gaps;
+
+  const above = tiers
+    .filter((t) => t.minCents > basisCents)
+    .sort((a, b) => a.minCents - b.minCents);
+
+  for (const tier of above) {
+    const pricing = region ? matrixCellForTier(tier, region.key) : tier;
+    if (!pricing) continue;
+
+    const { priceCents: tierPriceCents } = applyRateCap(
+      computeTierPriceCents(pricing, tier.minCents, chart?.handlingFeeCents ?? 0, service),
+      chart
+    );
+    if (tierPriceCents < priceCents && gaps.nextTierGapCents == null) {
+      gaps.nextTierGapCents = tier.minCents - basisCents;
+    }
+    if (tierPriceCents <= 0) {
+      gaps.freeShippingGapCents = tier.minCents - basisCents;
+      break;
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Carrier payload items (requires_shipping only) -> merchandise cents + total grams.
+ * Null when any price/quantity is not a number (callers return no rates).
+ */
+export function cartTotalsFromItems(items) {
+  // Shipping basis (locked):
+  // merchandise subtotal AFTER Volume Pricing only; ignore promo/discount-code discounts.
+  // In carrier payload, item.price is integer cents; do NOT use order_totals for basis.
+  let merchCents = 0;
+  // WEIGHT basis: item.grams is per unit in the carrier payload
+  let totalGrams = 0;
+  for (const item of items) {
+    const unitCents = Number(item?.price);
+    const qty = Number(item?.quantity || 0);
+    if (!Number.isFinite(unitCents) || !Number.isFinite(qty)) return null;
+    merchCents += unitCents * qty;
+
+    const unitGrams = Number(item?.grams || 0);
+    if (Number.isFinite(unitGrams) && unitGrams > 0) totalGrams += unitGrams * qty;
+  }
+  return { merchCents, totalGrams };
+}
+
+/**
+ * Quote one cart against a compiled rate table (see rateTable.server.js). Throws on
+ * bad data so /api/rates can fall back to last-known-good rates. Fills `trace` (zone
+ * gate, volume result, per-chart outcome) as it goes.
+ *
+ * dryRun (rate simulator): same pricing, but fallbacks are not recorded as events.
+ * @returns {{ rates: Array }} the exact body Shopify receives
+ */
+export async function quoteRates({
+  shop,
+  rateTable,
+  payload,
+  items,
+  merchCents,
+  totalGrams,
+  destination,
+  trace,
+  dryRun = false,
+  now = new Date(),
+}) {
+  const { countryCode: destCountry, provinceCode: destProvince } = destination;
+  const payableBasisCents = getPayableMerchCentsFromPayload(payload);
+  const { settings, charts } = rateTable;
+
+  // Optional managed-zone gate:
+  // - If managedZoneConfigJson is populated, gate.
+  // - If empty/unset, do NOT gate (app returns rates everywhere).
+  const zonesSnapshot = settings.zonesSnapshot;
+
+  const zoneGate = evaluateManagedZones({
+    config: settings.managedZoneConfig,
+    zonesSnapshot,
+    countryCode: destCountry,
+    provinceCode: destProvince,
+  });
+  trace.zoneGate = zoneGate;
+  // Unmanaged destination: empty list so Shopify's native rates take over
+  if (!zoneGate.managed) return { rates: [] };
+
+  // Apply cached Volume Pricing (NO Shopify calls)
+  let basisCents = merchCents;
+  let volDebug = null;
+
+  try {
+    const { config, eligibilitySnapshot } = rateTable.volumePricing;
+    const result = computeVolumeAdjustedMerchCents({
+      items,
+      config,
+      eligibilitySnapshot,
+      hardItemCap: 500,
+    });
+
+    if (result?.ok === true && Number.isFinite(result.volumeAdjustedMerchCents)) {
+      basisCents = result.volumeAdjustedMerchCents;
+      volDebug = result;
+      for (const w of result.warnings || []) trace.warnings.push(`Volume pricing: ${w}`);
+    }
+  } catch {
+    // Fallback to Shopify payable (discounted) subtotal, but still use OUR tiers.
+    if (Number.isFinite(payableBasisCents)) {
+      basisCents = payableBasisCents;
+      volDebug = { ok: false, error: "volume_pricing_failed_payable_fallback" };
+    }
+    trace.warnings.push(
+      Number.isFinite(payableBasisCents)
+        ? "Volume pricing failed; basis is Shopify's payable subtotal"
+        : "Volume pricing failed; basis is the undiscounted merchandise subtotal"
+    );
+  }
+  trace.volume = volDebug;
+  trace.merchCents = merchCents;
+  trace.basisCents = basisCents;
+  trace.totalGrams = totalGrams;
+
+  // Cached product -> tags/collections index (NO Shopify calls)
+  const productIndex = settings.productIndex;
+
+  // Shop business-day calendar for delivery estimates (timezone, cutoff, holidays)
+  const deliveryCalendar = settings.deliveryCalendar;
+
+  // Diagnostic description text is opt-in per shop (all or test destinations only)
+  const debugEnabled = isRateDebugEnabled(settings.rateDebug, destination);
+
+  const descParts = [];
+  descParts.push(`Merch (payload): $${(merchCents / 100).toFixed(2)}`);
+  descParts.push(`Basis after vol: $${(basisCents / 100).toFixed(2)}`);
+  for (const group of volDebug?.groups || []) {
+    if (group.eligibleQty > 0) descParts.push(`Vol ${group.explanation}`);
+  }
+
+  // ONE rate per matching chart (or per active service on charts that define services),
+  // then combined per the shop's strategy
+  let rates = [];
+  for (const chart of charts) {
+    const chartTrace = {
+      chartId: chart.id,
+      chartName: chart.name,
+      chartType: chart.chartType,
+      basisType: chart.basisType,
+      outcome: "SKIPPED",
+      reasons: [],
+      plans: [],
+    };
+    trace.charts.push(chartTrace);
+
+    // Destination targeting first: cheapest check, no item work needed
+    const destinationResult = evaluateDestinationRules({
+      rules: chart.destinationRules,
+      destination,
+    });
+    chartTrace.reasons.push(`destination: ${destinationResult.reason}`);
+    if (!destinationResult.applies) continue;
+
+    const selectorResult = evaluateChartSelectors({
+      selectors: chart.selectors,
+      items,
+      productIndex,
+      requireAllItemsMatch: chart.requireAllItemsMatch === true,
+    });
+    chartTrace.reasons.push(
+      `selectors: ${selectorResult.reason} (${selectorResult.matchedItemCount ?? 0} items matched)`
+    );
+    if (!selectorResult.applies) continue;
+
+    // Tier ranges are grams on WEIGHT charts, cents otherwise.
+    // PERCENT_OF_BASIS still prices off merchandise basisCents.
+    const rangeValue = chart.basisType === "WEIGHT" ? totalGrams : basisCents;
+    chartTrace.rangeValue = rangeValue;
+
+    // MATRIX charts: the matched tier is only the band (row); the rate comes from
+    // the cell for the destination's region (column).
+    let region = null;
+    if (chart.chartType === "MATRIX") {
+      region = resolveMatrixRegion({
+        regions: chart.matrixRegions,
+        destination: { countryCode: destCountry, provinceCode: destProvince },
+        zonesSnapshot,
+      });
+      chartTrace.region = region ? { key: region.key, name: region.name } : null;
+      if (!region) {
+        chartTrace.reasons.push("matrix: no region matches the destination");
+        continue;
+      }
+    }
+
+    // Free-shipping threshold is measured against the volume-adjusted basis on every
+    // chart type (including WEIGHT) and wins over tiers, handling fee and services.
+    // (null = no threshold; Number(null) would read as a $0 threshold)
+    const thresholdCents =
+      chart.freeShippingThresholdCents != null &&
+      Number.isFinite(Number(chart.freeShippingThresholdCents))
+        ? Number(chart.freeShippingThresholdCents)
+        : null;
+    const freeByThreshold = thresholdCents != null && basisCents >= thresholdCents;
+    if (freeByThreshold) {
+      chartTrace.reasons.push(`free shipping: basis reached ${formatMoneyCents(thresholdCents)}`);
+    }
+    chartTrace.outcome = "NO_TIER";
+
+    for (const plan of chartServicePlans(chart)) {
+      let matchedTier = null;
+
+      for (const tier of plan.tiers) {
+        if (!isBetween(rangeValue, tier.minCents, tier.maxCents)) continue;
+        matchedTier = tier;
+        break;
+      }
+      let pricing =
+        matchedTier && region ? matrixCellForTier(matchedTier, region.key) : matchedTier;
+
+      // Chart fallback: behaves like a flat catch-all tier (service + handling still apply)
+      let usedFallback = false;
+      if (!pricing && !freeByThreshold) {
+        if (chart.fallbackRateCents == null) {
+          chartTrace.plans.push({
+            serviceCode: plan.service?.code ?? null,
+            matchedTier: matchedTier?.name ?? null,
+            reason: matchedTier ? "no_matrix_cell" : "no_tier_matched",
+          });
+          continue;
+        }
+        pricing = { priceType: "FLAT", flatPriceCents: chart.fallbackRateCents };
+        usedFallback = true;
+        if (!dryRun) {
+          void recordRateFallback({
+            shop,
+            kind: "CHART_FALLBACK",
+            chartId: chart.id,
+            reason: matchedTier ? "no_matrix_cell" : "no_tier_matched",
+            detail: {
+              serviceCode: plan.service?.code ?? null,
+              rangeValue,
+              basisType: chart.basisType,
+              region: region?.key ?? null,
+            },
+          });
+        }
+      }
+
+      const uncappedCents = freeByThreshold
+        ? 0
+        : computeTierPriceCents(
+            pricing,
+            basisCents,
+            chart?.handlingFeeCents ?? 0,
+            plan.adjust ? plan.service : null
+          );
+
+      const { priceCents, capped, capCents } = applyRateCap(uncappedCents, chart);
+      if (capped) {
+        const capNote = `${formatMoneyCents(uncappedCents)} → ${formatMoneyCents(capCents)}`;
+        trace.warnings.push(`${chart.name}: capped ${capNote}`);
+      }
+      if (usedFallback) trace.warnings.push(`${chart.name}: chart fallback rate used`);
+      if (capped) {
+        console.info("[api/rates] rate capped", {
+          shop,
+          chartId: chart.id,
+          serviceCode: plan.service?.code ?? null,
+          tier: matchedTier?.name,
+          uncappedCents,
+          capCents,
+        });
+      }
+
+      const deliveryWindow = computeDeliveryWindow({
+        calendar: deliveryCalendar,
+        estimate: resolveDeliveryEstimate(chart, plan.service),
+        shopTimezone: settings.shopTimezone,
+        now,
+      });
+
+      const serviceName = plan.service
+        ? `${chart.name} – ${plan.service.name}`
+        : chart.name; // fixes “Standard” issue
+      const tierName = freeByThreshold
+        ? `Free shipping over ${formatMoneyCents(thresholdCents)}`
+        : usedFallback
+          ? "Chart fallback"
+          : region
+            ? `${matchedTier.name} / ${region.name}`
+            : matchedTier.name;
+
+      const gaps = findCheaperTierGaps({
+        tiers: plan.tiers,
+        region,
+        chart,
+        service: plan.adjust ? plan.service : null,
+        basisCents,
+        priceCents,
+      });
+      const nextTierGapCents = gaps.nextTierGapCents;
+      // An explicit threshold beats a hand-built $0 tier
+      const freeShippingGapCents =
+        priceCents <= 0
+          ? null
+          : thresholdCents != null
+            ? thresholdCents - basisCents
+            : gaps.freeShippingGapCents;
+
+      const customerDescription = renderDescriptionTemplate(chart.descriptionTemplate, {
+        service_name: serviceName,
+        tier_name: tierName,
+        next_tier_gap: nextTierGapCents == null ? "" : formatMoneyCents(nextTierGapCents),
+        delivery_window: formatDeliveryWindow(deliveryWindow),
+        free_shipping_gap:
+          freeShippingGapCents == null ? "" : formatMoneyCents(freeShippingGapCents),
+        free_shipping_threshold:
+          thresholdCents == null ? "" : formatMoneyCents(thresholdCents),
+      });
+
+      chartTrace.outcome = "QUOTED";
+      chartTrace.plans.push({
+        serviceCode: plan.service?.code ?? null,
+        matchedTier: matchedTier?.name ?? null,
+        tierName,
+        pricing: pricing
+          ? {
+              priceType: pricing.priceType,
+              flatPriceCents: pricing.flatPriceCents ?? null,
+              percentBps: pricing.percentBps ?? null,
+            }
+          : null,
+        serviceAdjusted: Boolean(plan.adjust && plan.service),
+        handlingFeeCents: chart.handlingFeeCents ?? 0,
+        freeByThreshold,
+        usedFallback,
+        uncappedCents,
+        capped,
+        capCents,
+        priceCents,
+        deliveryWindow: deliveryWindow
+          ? { minDate: deliveryWindow.minDate, maxDate: deliveryWindow.maxDate }
+          : null,
+      });
+
+      rates.push({
+        chartName: serviceName,
+        chartId: chart.id,
+        serviceCode: plan.service?.code || chart.defaultServiceCode || null,
+        tierName,
+        customerDescription,
+        priceCents,
+        capped,
+        deliveryWindow,
+      });
+    }
+  }
+
+  const strategy = RATE_COMBINATION_STRATEGIES.includes(settings.rateCombinationStrategy)
+    ? settings.rateCombinationStrategy
+    : "ALL";
+  const combined = combineChartRates(rates, strategy);
+  trace.combination = {
+    strategy,
+    dropped: rates
+      .filter((r) => !combined.includes(r))
+      .map((r) => ({
+        chartName: r.chartName,
+        serviceCode: r.serviceCode,
+        priceCents: r.priceCents,
+      })),
+  };
+  rates = combined;
+
+  // Managed destination with nothing to offer: shop fallback so checkout isn't left empty
+  if (rates.length === 0) {
+    const shopFallback = normalizeShopFallback(settings.fallbackRate);
+    if (!shopFallback.enabled) return { rates: [] };
+
+    const reason = charts.length ? "no_chart_matched" : "no_active_charts";
+    trace.shopFallback = { reason, priceCents: shopFallback.priceCents };
+    trace.warnings.push(`Shop fallback rate used (${reason})`);
+    if (!dryRun) {
+      void recordRateFallback({
+        shop,
+        kind: "SHOP_FALLBACK",
+        reason,
+        detail: { destCountry, destProvince, merchCents, basisCents },
+      });
+    }
+    rates.push({
+      chartName: shopFallback.name,
+      chartId: null,
+      serviceCode: shopFallback.serviceCode,
+      tierName: "Shop fallback",
+      customerDescription: "",
+      priceCents: shopFallback.priceCents,
+      capped: false,
+      deliveryWindow: null,
+    });
+  }
+
+  return {
+    rates: rates.map((r) => ({
+      service_name: r.chartName,
+      service_code: r.serviceCode ?? String(r.chartId),
+      total_price: String(r.priceCents),
+      currency: payload?.rate?.currency || "USD",
+      description: debugEnabled
+        ? [
+            r.customerDescription,
+            ...descParts,
+            `Tier: ${r.tierName}`,
+            ...(r.capped ? [`Capped at $${(r.priceCents / 100).toFixed(2)}`] : []),
+          ]
+            .filter(Boolean)
+            .join(" • ")
+        : r.customerDescription,
+      ...(r.deliveryWindow
+        ? {
+            min_delivery_date: r.deliveryWindow.minDeliveryDate,
+            max_delivery_date: r.deliveryWindow.maxDeliveryDate,
+          }
+        : {}),
+    })),
+  };
+}
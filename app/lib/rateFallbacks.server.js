@@ -0,0 +1,151 @@
+// app/lib/rateFallbacks.server.js
+import prisma from "../db.server";
+
+/**
+ * Fallback rates for /api/rates (NO Shopify calls).
+ * - Chart fallback (ShippingChart.fallbackRateCents): priced like a flat catch-all tier when
+ *   the chart applies but no tier (or matrix cell) covers the cart
+ * - Shop fallback (ShopSettings.fallbackRateJson): one rate when a managed destination
+ *   would otherwise get no rates at all
+ * - Last-known-good: when quoting throws (DB down, bad data), serve the last successful
+ *   rates for a similar cart from this process's memory
+ * Every fallback is recorded as a RateFallbackEvent (and logged, in case the DB is the problem).
+ * Events older than FALLBACK_EVENT_RETENTION_DAYS and anything past
+ * FALLBACK_EVENT_MAX_ROWS_PER_SHOP are pruned every PRUNE_EVERY_WRITES writes (per shop,
+ * per process), like the rate quote log.
+ *
+ * fallbackRateJson (v1): { enabled: true, name: "Standard shipping", priceCents: 1500, serviceCode: "FALLBACK" }
+ */
+
+export const FALLBACK_KINDS = ["CHART_FALLBACK", "SHOP_FALLBACK", "LAST_KNOWN_GOOD", "NO_RATES"];
+export const FALLBACK_EVENT_RETENTION_DAYS = 30;
+export const FALLBACK_EVENT_MAX_ROWS_PER_SHOP = 5000;
+
+const PRUNE_EVERY_WRITES = 200;
+
+// Stale delivery dates and prices age out; keep memory bounded
+const LAST_KNOWN_GOOD_TTL_MS = 6 * 60 * 60 * 1000;
+const LAST_KNOWN_GOOD_MAX_ENTRIES = 1000;
+// Carts in the same $25 band to the same province count as "similar"; shops with weight
+// charts also need the same 1 kg band. Fallback lookups go at most one $25 band away.
+const SIMILAR_CART_BAND_CENTS = 2500;
+const SIMILAR_CART_WEIGHT_BAND_GRAMS = 1000;
+const MAX_SIMILAR_BAND_DISTANCE = 1;
+
+const lastKnownGood = new Map();
+// shop -> whether its last successfully quoted rate table had WEIGHT charts
+const weightBandedShops = new Map();
+// shop -> writes since the last prune
+const writesSincePrune = new Map();
+
+export function normalizeShopFallback(raw) {
+  const priceCents = Number(raw?.priceCents);
+  return {
+    enabled: raw?.enabled === true && Number.isFinite(priceCents) && priceCents >= 0,
+    name: String(raw?.name || "").trim() || "Standard shipping",
+    priceCents: Number.isFinite(priceCents) && priceCents >= 0 ? Math.round(priceCents) : 0,
+    serviceCode: String(raw?.serviceCode || "").trim() || "FALLBACK",
+  };
+}
+
+/**
+ * cart = { shop, countryCode, provinceCode, merchCents, totalGrams }. The weight band is
+ * blank until the shop has quoted with weight charts (see rememberGoodRates).
+ */
+export function similarCartKey({ shop, countryCode, provinceCode, merchCents, totalGrams }) {
+  const band = Math.floor(Math.max(0, Number(merchCents) || 0) / SIMILAR_CART_BAND_CENTS);
+  const weightBand = weightBandedShops.get(shop)
+    ? Math.floor(Math.max(0, Number(totalGrams) || 0) / SIMILAR_CART_WEIGHT_BAND_GRAMS)
+    : "";
+  return `${shop}|${countryCode || ""}|${provinceCode || ""}|${weightBand}|${band}`;
+}
+
+/**
+ * @param {Object} cart see similarCartKey
+ * @param {Array} rates the rates just served
+ * @param {Object} rateTable the table they were quoted from (loadRateTable)
+ */
+export function rememberGoodRates(cart, rates, rateTable) {
+  weightBandedShops.set(
+    cart.shop,
+    (rateTable?.charts || []).some((c) => c.basisType === "WEIGHT")
+  );
+  if (!Array.isArray(rates) || rates.length === 0) return;
+
+  const cartKey = similarCartKey(cart);
+
+  // Map keeps insertion order: re-insert to mark as newest, evict the oldest
+  lastKnownGood.delete(cartKey);
+  lastKnownGood.set(cartKey, { rates, savedAt: Date.now() });
+  if (lastKnownGood.size > LAST_KNOWN_GOOD_MAX_ENTRIES) {
+    lastKnownGood.delete(lastKnownGood.keys().next().value);
+  }
+}
+
+/**
+ * Same-band cart first, then an adjacent $25 band for the same shop, destination and
+ * weight band.
+ * @returns {{ rates: Array, savedAt: number, cartKey: string }|null}
+ */
+export function findLastKnownGoodRates(cart) {
+  const cartKey = similarCartKey(cart);
+  const now = Date.now();
+  const fresh = (entry) => entry && now - entry.savedAt <= LAST_KNOWN_GOOD_TTL_MS;
+
+  const exact = lastKnownGood.get(cartKey);
+  if (fresh(exact)) return { ...exact, cartKey };
+
+  const prefix = cartKey.slice(0, cartKey.lastIndexOf("|") + 1);
+  const band = Number(cartKey.slice(prefix.length));
+  let best = null;
+  for (const [key, entry] of lastKnownGood) {
+    if (!key.startsWith(prefix) || !fresh(entry)) continue;
+    const distance = Math.abs(Number(key.slice(prefix.length)) - band);
+    if (distance > MAX_SIMILAR_BAND_DISTANCE) continue;
+    if (!best || distance < best.distance) best = { ...entry, cartKey: key, distance };
+  }
+  return best ? { rates: best.rates, savedAt: best.savedAt, cartKey: best.cartKey } : null;
+}
+
+/**
+ * Never throws: a failed write only logs, so recording can't break checkout. Callers on
+ * the carrier callback fire and forget it (`void`) so a slow write can't delay rates.
+ */
+export async function recordRateFallback({ shop, kind, chartId = null, reason = "", detail = null }) {
+  console.warn("[api/rates] fallback", { shop, kind, chartId, reason });
+  try {
+    await prisma.rateFallbackEvent.create({
+      data: {
+        shop,
+        kind,
+        chartId,
+        reason: String(reason || "").slice(0, 500),
+        detailJson: JSON.stringify(detail ?? {}),
+      },
+    });
+
+    const writes = (writesSincePrune.get(shop) || 0) + 1;
+    writesSincePrune.set(shop, writes >= PRUNE_EVERY_WRITES ? 0 : writes);
+    if (writes >= PRUNE_EVERY_WRITES) await pruneRateFallbackEvents(shop);
+  } catch (err) {
+    console.error("[api/rates] failed to record fallback", err);
+  }
+}
+
+export async function pruneRateFallbackEvents(shop) {
+  const cutoff = new Date(Date.now() - FALLBACK_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  await prisma.rateFallbackEvent.deleteMany({ where: { shop, createdAt: { lt: cutoff } } });
+
+  // Row cap: delete everything older than the newest MAX_ROWS_PER_SHOP rows
+  const oldestKept = await prisma.rateFallbackEvent.findFirst({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    skip: FALLBACK_EVENT_MAX_ROWS_PER_SHOP - 1,
+    select: { createdAt: true },
+  });
+  if (oldestKept) {
+    await prisma.rateFallbackEvent.deleteMany({
+      where: { shop, createdAt: { lt: oldestKept.createdAt } },
+    });
+  }
+}
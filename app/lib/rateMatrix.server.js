@@ -0,0 +1,162 @@
+// app/lib/rateMatrix.server.js
+import { zoneContainsDestination } from "./managedZones.server";
+
+/**
+ * Rate matrix charts (server-only, NO Shopify calls).
+ * Rows are the chart's ShippingTier bands (minCents/maxCents, in the chart basis unit),
+ * columns are destination regions, and each cell holds a flat or percent rate.
+ *
+ * ShippingChart.matrixRegionsJson (v1, JSON array, order = match priority):
+ * [{ key: "r_ab12", name: "West", zoneIds: [gid], countries: ["US"], provinces: ["US-CA"] }]
+ * - a region matches when the destination is in ANY of its zones, countries or provinces
+ * - first matching region wins, so list narrow regions before broad ones
+ *
+ * ShippingTier.matrixRatesJson (v1, JSON object keyed by region key):
+ * { "r_ab12": { priceType: "FLAT", flatPriceCents: 1250 } | { priceType: "PERCENT_OF_BASIS", percentBps: 500 } }
+ */
+
+function normCode(v) {
+  return String(v || "").trim().toUpperCase();
+}
+
+function safeJsonParse(str, fallback) {
+  try {
+    if (typeof str !== "string" || !str.trim()) return fallback;
+    return JSON.parse(str);
+  } catch {
+    return fallback;
+  }
+}
+
+function toCodeList(v, pattern) {
+  const list = Array.isArray(v) ? v : String(v ?? "").split(/[,\n]/);
+  return Array.from(
+    new Set(
+      list
+        .map((x) => normCode(x).replace(/[:\s]+/g, "-"))
+        .filter((x) => pattern.test(x))
+    )
+  );
+}
+
+/**
+ * Editor/DB regions -> clean region list (drops regions without a key or any destination).
+ */
+export function normalizeMatrixRegions(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  const seen = new Set();
+  const out = [];
+  for (const r of list) {
+    const key = String(r?.key || "").trim();
+    if (!key || seen.has(key)) continue;
+
+    const region = {
+      key,
+      name: String(r?.name || "").trim() || "Region",
+      zoneIds: Array.isArray(r?.zoneIds) ? r.zoneIds.map(String).filter(Boolean) : [],
+      countries: toCodeList(r?.countries, /^[A-Z]{2}$/),
+      provinces: toCodeList(r?.provinces, /^[A-Z]{2}-[A-Z0-9]{1,3}$/),
+    };
+    if (!region.zoneIds.length && !region.countries.length && !region.provinces.length) {
+      continue;
+    }
+
+    seen.add(key);
+    out.push(region);
+  }
+  return out;
+}
+
+/**
+ * Editor cell values { [regionKey]: { rateType: "FLAT"|"PERCENT", rateValue } } -> stored cells.
+ */
+export function normalizeMatrixRates(raw, regionKeys) {
+  const keys = new Set(regionKeys || []);
+  const out = {};
+  for (const [key, cell] of Object.entries(raw && typeof raw === "object" ? raw : {})) {
+    if (!keys.has(key)) continue;
+    const n = Number(cell?.rateValue);
+    if (cell?.rateValue == null || cell?.rateValue === "" || !Number.isFinite(n) || n < 0) {
+      continue;
+    }
+    out[key] =
+      cell?.rateType === "PERCENT"
+        ? { priceType: "PERCENT_OF_BASIS", percentBps: Math.round(n * 100) }
+        : { priceType: "FLAT", flatPriceCents: Math.round(n * 100) };
+  }
+  return out;
+}
+
+export function parseMatrixRegions(json) {
+  return normalizeMatrixRegions(safeJsonParse(json, []));
+}
+
+/**
+ * @returns {Object|null} first region containing the destination
+ */
+export function resolveMatrixRegion({ regions, destination, zonesSnapshot }) {
+  const country = normCode(destination?.countryCode);
+  const province = normCode(destination?.provinceCode);
+  if (!country) return null;
+
+  const zonesById = new Map(
+    (Array.isArray(zonesSnapshot?.zones) ? zonesSnapshot.zones : []).map((z) => [z.id, z])
+  );
+
+  for (const region of Array.isArray(regions) ? regions : []) {
+    if (province && region.provinces.includes(`${country}-${province}`)) return region;
+    if (region.countries.includes(country)) return region;
+
+    const inZone = region.zoneIds.some((zoneId) =>
+      zoneContainsDestination(zonesById.get(zoneId), {
+        countryCode: country,
+        provinceCode: province,
+        zonesSnapshot,
+      })
+    );
+    if (inZone) return region;
+  }
+  return null;
+}
+
+/**
+ * Cell for one band row + region, shaped like a tier for computeTierPriceCents.
+ */
+export function matrixCellForTier(tier, regionKey) {
+  // Rate table tiers carry pre-parsed cells
+  const cells = tier?.matrixCells ?? safeJsonParse(tier?.matrixRatesJson, {});
+  const cell = cells?.[regionKey];
+  if (!cell) return null;
+  if (cell.priceType === "PERCENT_OF_BASIS" && Number.isFinite(Number(cell.percentBps))) {
+    return { priceType: "PERCENT_OF_BASIS", percentBps: Number(cell.percentBps) };
+  }
+  if (cell.priceType === "FLAT" && Number.isFinite(Number(cell.flatPriceCents))) {
+    return { priceType: "FLAT", flatPriceCents: Number(cell.flatPriceCents) };
+  }
+  return null;
+}
+
+/**
+ * Stored cells -> editor values { [regionKey]: { rateType: "FLAT"|"PERCENT", rateValue } }.
+ */
+export function matrixRatesToEditor(json) {
+  const cells = safeJsonParse(json, {});
+  const out = {};
+  for (const [key, cell] of Object.entries(cells && typeof cells === "object" ? cells : {})) {
+    if (cell?.priceType === "PERCENT_OF_BASIS") {
+      out[key] = { rateType: "PERCENT", rateValue: Number(cell.percentBps ?? 0) / 100 };
+    } else if (cell?.priceType === "FLAT") {
+      out[key] = { rateType: "FLAT", rateValue: Number(cell.flatPriceCents ?? 0) / 100 };
+    }
+  }
+  return out;
+}
+
+/**
+ * zonesSnapshotJson -> [{ label, value }] for the region zone picker.
+ */
+export function zoneOptionsFromSnapshot(json) {
+  const snapshot = safeJsonParse(json, null);
+  const zones = Array.isArray(snapshot?.zones) ? snapshot.zones : [];
+  return zones.map((z) => ({ label: z.name || z.id, value: z.id }));
+}
@@ -0,0 +1,227 @@
+// app/lib/rateQuoteLog.server.js
+import prisma from "../db.server";
+
+/**
+ * Rate quote log: one RateQuoteLog row per /api/rates call, so support can answer
+ * "why was shipping $42?" without console logs.
+ *
+ * Row = destination, item summary, basis before/after volume pricing, final prices,
+ * warnings, and traceJson (zone gate, volume result, every chart considered with its
+ * outcome, matched tier/region and pricing steps).
+ *
+ * Retention: rows older than RETENTION_DAYS and anything past MAX_ROWS_PER_SHOP are
+ * pruned every PRUNE_EVERY_WRITES writes (per shop, per process).
+ */
+
+export const QUOTE_LOG_RETENTION_DAYS = 30;
+export const QUOTE_LOG_MAX_ROWS_PER_SHOP = 20000;
+export const QUOTE_LOG_PAGE_SIZE = 50;
+export const QUOTE_OUTCOMES = ["RATES", "NO_RATES", "UNMANAGED", "LAST_KNOWN_GOOD", "ERROR"];
+
+const PRUNE_EVERY_WRITES = 200;
+// Keep one log row small: big carts only keep the first N item lines
+const MAX_LOGGED_ITEMS = 100;
+
+// shop -> writes since the last prune
+const writesSincePrune = new Map();
+
+function safeJsonParse(str, fallback) {
+  try {
+    if (typeof str !== "string" || !str.trim()) return fallback;
+    return JSON.parse(str);
+  } catch {
+    return fallback;
+  }
+}
+
+function summarizeItems(items) {
+  return (items || []).slice(0, MAX_LOGGED_ITEMS).map((i) => ({
+    productId: i?.product_id ?? null,
+    variantId: i?.variant_id ?? null,
+    sku: i?.sku || null,
+    name: i?.name || null,
+    quantity: Number(i?.quantity || 0),
+    priceCents: Number(i?.price || 0),
+    grams: Number(i?.grams || 0),
+  }));
+}
+
+/**
+ * Never throws and is safe to fire-and-forget: logging must not slow or break checkout.
+ */
+export async function recordRateQuote({
+  shop,
+  destination,
+  items,
+  merchCents,
+  basisCents,
+  outcome,
+  rates,
+  warnings = [],
+  trace = {},
+}) {
+  try {
+    const prices = (rates || [])
+      .map((r) => Number(r.total_price))
+      .filter((n) => Number.isFinite(n));
+
+    await prisma.rateQuoteLog.create({
+      data: {
+        shop,
+        destCountry: destination?.countryCode || "",
+        destProvince: destination?.provinceCode || "",
+        destPostal: destination?.postalCode || "",
+        itemCount: (items || []).length,
+        merchCents: Math.round(Number(merchCents) || 0),
+        basisCents: Math.round(Number(basisCents ?? merchCents) || 0),
+        outcome: QUOTE_OUTCOMES.includes(outcome) ? outcome : "RATES",
+        rateCount: prices.length,
+        minPriceCents: prices.length ? Math.min(...prices) : null,
+        maxPriceCents: prices.length ? Math.max(...prices) : null,
+        itemsJson: JSON.stringify(summarizeItems(items)),
+        ratesJson: JSON.stringify(rates || []),
+        warningsJson: JSON.stringify(warnings),
+        traceJson: JSON.stringify(trace),
+      },
+    });
+
+    const writes = (writesSincePrune.get(shop) || 0) + 1;
+    writesSincePrune.set(shop, writes >= PRUNE_EVERY_WRITES ? 0 : writes);
+    if (writes >= PRUNE_EVERY_WRITES) await pruneRateQuoteLog(shop);
+  } catch (err) {
+    console.error("[api/rates] failed to record quote log", err);
+  }
+}
+
+export async function pruneRateQuoteLog(shop) {
+  const cutoff = new Date(Date.now() - QUOTE_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  await prisma.rateQuoteLog.deleteMany({ where: { shop, createdAt: { lt: cutoff } } });
+
+  // Row cap: delete everything older than the newest MAX_ROWS_PER_SHOP rows
+  const oldestKept = await prisma.rateQuoteLog.findFirst({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    skip: QUOTE_LOG_MAX_ROWS_PER_SHOP - 1,
+    select: { createdAt: true },
+  });
+  if (oldestKept) {
+    await prisma.rateQuoteLog.deleteMany({
+      where: { shop, createdAt: { lt: oldestKept.createdAt } },
+    });
+  }
+}
+
+function dayStartUtc(ymd) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(ymd || ""))) return null;
+  const d = new Date(`${ymd}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function dollarsToCents(v) {
+  if (v == null || String(v).trim() === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) : null;
+}
+
+/**
+ * URL search params -> normalized filters (dates are UTC days, prices are dollars).
+ */
+export function parseQuoteLogFilters(searchParams) {
+  const get = (k) => String(searchParams.get(k) || "").trim();
+  const page = Number(get("page"));
+  return {
+    from: dayStartUtc(get("from")) ? get("from") : "",
+    to: dayStartUtc(get("to")) ? get("to") : "",
+    country: get("country").toUpperCase(),
+    province: get("province").toUpperCase(),
+    postal: get("postal"),
+    minPrice: dollarsToCents(get("minPrice")) == null ? "" : get("minPrice"),
+    maxPrice: dollarsToCents(get("maxPrice")) == null ? "" : get("maxPrice"),
+    page: Number.isInteger(page) && page > 1 ? page : 1,
+  };
+}
+
+/**
+ * Price filters match quotes where ANY returned rate falls inside the range
+ * (approximated by the quote's min/max price).
+ */
+export async function searchRateQuotes(shop, filters) {
+  const where = { shop };
+
+  const from = dayStartUtc(filters.from);
+  const to = dayStartUtc(filters.to);
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    // "to" is inclusive: everything before the next UTC day
+    if (to) where.createdAt.lt = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  if (filters.country) where.destCountry = filters.country;
+  if (filters.province) {
+    // Accept "CA" or "US-CA"
+    const p = filters.province;
+    where.destProvince = { in: p.includes("-") ? [p, p.split("-")[1]] : [p] };
+  }
+  if (filters.postal) where.destPostal = { startsWith: filters.postal };
+
+  const minCents = dollarsToCents(filters.minPrice);
+  const maxCents = dollarsToCents(filters.maxPrice);
+  if (minCents != null) where.maxPriceCents = { gte: minCents };
+  if (maxCents != null) where.minPriceCents = { lte: maxCents };
+
+  const [total, rows] = await Promise.all([
+    prisma.rateQuoteLog.count({ where }),
+    prisma.rateQuoteLog.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (filters.page - 1) * QUOTE_LOG_PAGE_SIZE,
+      take: QUOTE_LOG_PAGE_SIZE,
+      select: {
+        id: true,
+        createdAt: true,
+        destCountry: true,
+        destProvince: true,
+        destPostal: true,
+        itemCount: true,
+        merchCents: true,
+        basisCents: true,
+        outcome: true,
+        rateCount: true,
+        minPriceCents: true,
+        maxPriceCents: true,
+        warningsJson: true,
+      },
+    }),
+  ]);
+
+  return {
+    total,
+    pageCount: Math.max(1, Math.ceil(total / QUOTE_LOG_PAGE_SIZE)),
+    quotes: rows.map(({ warningsJson, ...row }) => ({
+      ...row,
+      createdAt: row.createdAt.toISOString(),
+      warningCount: safeJsonParse(warningsJson, []).length,
+    })),
+  };
+}
+
+export async function getRateQuote(shop, id) {
+  const row = await prisma.rateQuoteLog.findFirst({ where: { id, shop } });
+  if (!row) return null;
+  return {
+    id: row.id,
+    createdAt: row.createdAt.toISOString(),
+    destCountry: row.destCountry,
+    destProvince: row.destProvince,
+    destPostal: row.destPostal,
+    itemCount: row.itemCount,
+    merchCents: row.merchCents,
+    basisCents: row.basisCents,
+    outcome: row.outcome,
+    items: safeJsonParse(row.itemsJson, []),
+    rates: safeJsonParse(row.ratesJson, []),
+    warnings: safeJsonParse(row.warningsJson, []),
+    trace: safeJsonParse(row.traceJson, {}),
+  };
+}
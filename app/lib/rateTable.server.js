@@ -0,0 +1,140 @@
+// app/lib/rateTable.server.js
+import prisma from "../db.server";
+import { parseVolumePricingSettings } from "./volumePricingProvider.server";
+import { normalizeManagedZoneConfig } from "./managedZones.server";
+import { parseMatrixRegions } from "./rateMatrix.server";
+import { normalizeProductIndex } from "./selectorEngine.server";
+
+/**
+ * Precompiled per-shop rate table for /api/rates (in-process cache, NO Shopify calls).
+ * One ShopSettings read + one chart query compile everything the callback needs: parsed
+ * settings JSON, volume config, and active charts with their active tiers (matrix cells
+ * parsed), selectors, destination rules and services. The result is deep-frozen.
+ *
+ * - Admin writes call refreshRateTable(shop) so the next quote uses the new table
+ * - Cold shops compile on first quote; concurrent cold quotes share one build
+ * - Entries expire after MAX_AGE_MS so other processes' writes show up eventually
+ */
+
+const MAX_AGE_MS = 10 * 60 * 1000;
+
+// shop -> { builtAt, promise }
+const cache = new Map();
+
+function safeJsonParse(str, fallback) {
+  try {
+    if (typeof str !== "string" || !str.trim()) return fallback;
+    return JSON.parse(str);
+  } catch {
+    return fallback;
+  }
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    for (const v of Object.values(value)) deepFreeze(v);
+  }
+  return value;
+}
+
+// Also used for the simulator's unsaved drafts (chartDraft.server.js)
+export function compileChart(chart) {
+  return {
+    ...chart,
+    matrixRegions: chart.chartType === "MATRIX" ? parseMatrixRegions(chart.matrixRegionsJson) : [],
+    tiers: (chart.tiers || []).map((t) => ({
+      ...t,
+      matrixCells: safeJsonParse(t.matrixRatesJson, {}),
+    })),
+  };
+}
+
+/**
+ * Chart evaluation order, same as compileRateTable's query: priority desc, newest first.
+ */
+export function compareChartOrder(a, b) {
+  const byPriority = (b.priority ?? 0) - (a.priority ?? 0);
+  if (byPriority) return byPriority;
+  return new Date(b.createdAt ?? 0).getTime() - new Date(a.createdAt ?? 0).getTime();
+}
+
+export async function compileRateTable(shop) {
+  const [shopSettings, charts] = await Promise.all([
+    prisma.shopSettings.findUnique({ where: { shop } }),
+    prisma.shippingChart.findMany({
+      where: { shop, isActive: true },
+      include: {
+        tiers: {
+          where: { isActive: true },
+          orderBy: [{ minCents: "asc" }, { maxCents: "asc" }],
+        },
+        selectors: true,
+        destinationRules: true,
+        services: {
+          where: { isActive: true },
+          orderBy: { sortOrder: "asc" },
+        },
+      },
+      // Evaluation order = the charts list order (highest priority first); keep in sync
+      // with compareChartOrder
+      orderBy: [{ priority: "desc" }, { createdAt: "desc" }],
+    }),
+  ]);
+
+  return deepFreeze({
+    shop,
+    builtAt: new Date().toISOString(),
+    settings: {
+      managedZoneConfig: normalizeManagedZoneConfig(
+        safeJsonParse(shopSettings?.managedZoneConfigJson, [])
+      ),
+      zonesSnapshot: safeJsonParse(shopSettings?.zonesSnapshotJson, null),
+      productIndex: normalizeProductIndex(
+        safeJsonParse(shopSettings?.productIndexSnapshotJson, null)
+      ),
+      deliveryCalendar: safeJsonParse(shopSettings?.deliveryCalendarJson, {}),
+      shopTimezone: shopSettings?.shopTimezone ?? null,
+      rateDebug: safeJsonParse(shopSettings?.rateDebugJson, {}),
+      fallbackRate: safeJsonParse(shopSettings?.fallbackRateJson, {}),
+      rateCombinationStrategy: shopSettings?.rateCombinationStrategy ?? "ALL",
+    },
+    volumePricing: parseVolumePricingSettings(shopSettings),
+    charts: charts.map(compileChart),
+  });
+}
+
+/**
+ * Cached table for the shop; compiles on a miss or after MAX_AGE_MS. Throws if the build fails.
+ */
+export async function loadRateTable(shop) {
+  const entry = cache.get(shop);
+  if (entry && Date.now() - entry.builtAt <= MAX_AGE_MS) return entry.promise;
+
+  const promise = compileRateTable(shop);
+  cache.set(shop, { builtAt: Date.now(), promise });
+  try {
+    return await promise;
+  } catch (err) {
+    // Don't cache failures; the next quote retries
+    if (cache.get(shop)?.promise === promise) cache.delete(shop);
+    throw err;
+  }
+}
+
+export function invalidateRateTable(shop) {
+  cache.delete(shop);
+}
+
+/**
+ * Call after any admin write that affects rates. Never throws: a failed compile just
+ * leaves the cache empty so the next quote compiles again.
+ */
+export async function refreshRateTable(shop) {
+  invalidateRateTable(shop);
+  try {
+    await loadRateTable(shop);
+  } catch (err) {
+    console.error("[rateTable] compile failed", { shop, error: String(err) });
+  }
+}
@@ -0,0 +1,160 @@
+// app/lib/selectorEngine.server.js
+
+/**
+ * ShippingSelector evaluation (server-only).
+ * - Runs on the carrier callback path: NO Shopify calls, cached snapshot only
+ * - EXCLUDE wins: any shippable item matching an EXCLUDE selector skips the chart
+ * - No INCLUDE selectors = chart applies to every cart (general chart)
+ * - INCLUDE selectors: at least one shippable item must match one of them,
+ *   or EVERY shippable item when the chart has requireAllItemsMatch
+ *
+ * Product index snapshot shape (v1):
+ * {
+ *   version: 1,
+ *   pulledAt: string,
+ *   products: {
+ *     [productId]: { tags: string[], collectionIds: string[] } // lowercased tags, numeric IDs
+ *   },
+ * }
+ *
+ * Only tags/collections referenced by some selector are tracked, so a product
+ * missing from `products` simply matches no tag/collection selector.
+ */
+
+function normalizeIdLike(v) {
+  if (v == null) return "";
+  const s = String(v).trim();
+  if (!s) return "";
+  // If gid://shopify/Product/123 -> 123
+  const m = s.match(/\/(\d+)\s*$/);
+  if (m) return m[1];
+  return s;
+}
+
+function normalizeTag(v) {
+  return String(v ?? "").trim().toLowerCase();
+}
+
+export function normalizeProductIndex(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  if (raw.version !== 1 || !raw.products || typeof raw.products !== "object") {
+    return null;
+  }
+  return raw;
+}
+
+function itemProductId(item) {
+  return normalizeIdLike(item?.product_id || item?.productId || item?.product);
+}
+
+function itemMatchesSelector(productId, selector, productIndex) {
+  if (!productId) return false;
+
+  if (selector.type === "PRODUCT_ID") {
+    return normalizeIdLike(selector.value) === productId;
+  }
+
+  const entry = productIndex?.products?.[productId];
+  if (!entry) return false;
+
+  if (selector.type === "PRODUCT_TAG") {
+    const tag = normalizeTag(selector.value);
+    return Array.isArray(entry.tags) && entry.tags.includes(tag);
+  }
+
+  if (selector.type === "COLLECTION_ID") {
+    const collectionId = normalizeIdLike(selector.value);
+    return Array.isArray(entry.collectionIds) && entry.collectionIds.includes(collectionId);
+  }
+
+  return false;
+}
+
+/**
+ * @param {Object} args
+ * @param {Array} args.selectors ShippingSelector rows for one chart
+ * @param {Array} args.items Shopify carrier payload items (shippable only)
+ * @param {Object|null} args.productIndex normalized product index snapshot
+ * @param {boolean} args.requireAllItemsMatch chart flag: mixed carts fall through to other charts
+ * @returns {{ applies: boolean, reason: string, matchedItemCount: number }}
+ */
+export function evaluateChartSelectors({
+  selectors,
+  items,
+  productIndex,
+  requireAllItemsMatch = false,
+}) {
+  const list = Array.isArray(selectors) ? selectors : [];
+  const includes = list.filter((s) => s?.mode === "INCLUDE");
+  const excludes = list.filter((s) => s?.mode === "EXCLUDE");
+  const cartItems = Array.isArray(items) ? items : [];
+
+  if (list.length === 0) {
+    return { applies: true, reason: "no_selectors", matchedItemCount: cartItems.length };
+  }
+
+  let matchedItemCount = 0;
+  for (const item of cartItems) {
+    const productId = itemProductId(item);
+
+    if (excludes.some((s) => itemMatchesSelector(productId, s, productIndex))) {
+      return { applies: false, reason: "excluded_item_in_cart", matchedItemCount: 0 };
+    }
+
+    if (
+      includes.length === 0 ||
+      includes.some((s) => itemMatchesSelector(productId, s, productIndex))
+    ) {
+      matchedItemCount += 1;
+    }
+  }
+
+  if (matchedItemCount === 0) {
+    return { applies: false, reason: "no_matching_items", matchedItemCount };
+  }
+
+  if (requireAllItemsMatch && matchedItemCount < cartItems.length) {
+    return { applies: false, reason: "not_all_items_match", matchedItemCount };
+  }
+
+  return { applies: true, reason: "matched", matchedItemCount };
+}
+
+const SELECTOR_TYPES = ["PRODUCT_TAG", "PRODUCT_ID", "COLLECTION_ID"];
+
+/**
+ * Editor payload [{ mode, type, value }] -> clean, de-duplicated selector rows.
+ * Product/collection values are stored as numeric IDs; tags keep their case for display.
+ */
+export function normalizeChartSelectors(selectors) {
+  const out = [];
+  const seen = new Set();
+  for (const s of Array.isArray(selectors) ? selectors : []) {
+    const mode = s?.mode === "EXCLUDE" ? "EXCLUDE" : "INCLUDE";
+    const type = SELECTOR_TYPES.includes(s?.type) ? s.type : null;
+    if (!type) continue;
+
+    const value =
+      type === "PRODUCT_TAG" ? String(s?.value ?? "").trim() : normalizeIdLike(s?.value);
+    if (!value || (type !== "PRODUCT_TAG" && !/^\d+$/.test(value))) continue;
+
+    const key = `${mode}:${type}:${type === "PRODUCT_TAG" ? normalizeTag(value) : value}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ mode, type, value });
+  }
+  return out;
+}
+
+/**
+ * Tag/collection selectors drive the product index snapshot; a changed set means
+ * the snapshot must be rebuilt before those selectors can match at checkout.
+ */
+export function indexedSelectorKeys(selectors) {
+  return (Array.isArray(selectors) ? selectors : [])
+    .filter((s) => s?.type === "PRODUCT_TAG" || s?.type === "COLLECTION_ID")
+    .map((s) =>
+      s.type === "PRODUCT_TAG" ? `tag:${normalizeTag(s.value)}` : `col:${normalizeIdLike(s.value)}`
+    )
+    .sort();
+}
@@ -0,0 +1,14 @@
+// app/lib/serviceCodes.js
+
+/**
+ * "Next day air" -> "NEXT_DAY_AIR". Codes are what fulfillment tooling maps, so keep them boring.
+ * Shared by chartServices.server.js and the chart editor form, so both group tiers the same way.
+ */
+export function normalizeServiceCode(v) {
+  return String(v || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[\s-]+/g, "_")
+    .replace(/[^A-Z0-9_]/g, "")
+    .slice(0, 64);
+}
@@ -0,0 +1,249 @@
+// app/lib/tierValidation.js
+import { formatRangeValue, fromStoredRangeValue, toStoredRangeValue } from "./chartUnits";
+import { normalizeServiceCode } from "./serviceCodes";
+
+/**
+ * Tier table validation (shared by the chart editor actions and the editor form).
+ *
+ * Input is the editor payload's tiers ({ minValue, maxValue, rateType, rateValue,
+ * matrixRates, serviceCode }, ranges in editor units). Ranges are compared in stored
+ * units (cents or grams), per pricing group: base tiers and each service's own tiers.
+ * Service codes are compared after normalizeServiceCode; pass serviceCodes to group tiers
+ * for unknown services with the base tiers, as saving does.
+ * /api/rates sorts a group by min then max and the first matching tier wins, so:
+ *
+ * Errors (block saving): negative values, max below min, missing min/rate (on matrix
+ * charts: no rate in any region), duplicate ranges, tiers that can never be reached,
+ * and overlaps wider than a shared boundary.
+ * Warnings: gaps between $0 (or 0 weight) and infinity, shared boundary values on
+ * money charts, and matrix bands missing a region's rate.
+ *
+ * @returns {{ ok: boolean, issues: Array<{ level: "error"|"warning", tierIndex: number|null,
+ *   field: string|null, message: string }> }}
+ */
+
+function num(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function groupLabel(serviceCode) {
+  return serviceCode ? ` (${serviceCode} tiers)` : "";
+}
+
+export function validateTiers({
+  tiers,
+  basisType,
+  weightUnit,
+  chartType = "TIERED",
+  regions = [],
+  hasFallback = false,
+  serviceCodes = null,
+}) {
+  const units = { basisType, weightUnit };
+  const isMatrix = chartType === "MATRIX";
+  const issues = [];
+  const error = (tierIndex, field, message) =>
+    issues.push({ level: "error", tierIndex, field, message });
+  const warning = (tierIndex, field, message) =>
+    issues.push({ level: "warning", tierIndex, field, message });
+  const label = (stored) => formatRangeValue(fromStoredRangeValue(stored, units), units);
+
+  const knownCodes = Array.isArray(serviceCodes)
+    ? new Set(serviceCodes.map(normalizeServiceCode))
+    : null;
+  const groupCode = (code) => {
+    const c = normalizeServiceCode(code);
+    return knownCodes && !knownCodes.has(c) ? "" : c;
+  };
+
+  const list = Array.isArray(tiers) ? tiers : [];
+  if (list.length === 0) {
+    warning(
+      null,
+      null,
+      hasFallback
+        ? "No tiers: every cart gets the chart fallback rate."
+        : "No tiers: this chart never returns a rate."
+    );
+    return { ok: true, issues };
+  }
+
+  // 1) Per-tier checks
+  const rows = [];
+  list.forEach((t, index) => {
+    const min = num(t?.minValue);
+    const max = num(t?.maxValue);
+    let valid = true;
+
+    if (min == null && index > 0) {
+      error(index, "minValue", "Enter a minimum");
+      valid = false;
+    } else if (Number.isNaN(min) || min < 0) {
+      error(index, "minValue", "Minimum can't be negative");
+      valid = false;
+    }
+    if (Number.isNaN(max) || max < 0) {
+      error(index, "maxValue", "Maximum can't be negative");
+      valid = false;
+    } else if (max != null && min != null && max < min) {
+      error(index, "maxValue", "Maximum is below the minimum");
+      valid = false;
+    }
+
+    if (isMatrix) {
+      const cells = t?.matrixRates && typeof t.matrixRates === "object" ? t.matrixRates : {};
+      // A band without any region rate can't be stored (saving has nothing to keep)
+      const hasAnyRate = regions.some((region) => num(cells[region.key]?.rateValue) != null);
+      if (!hasAnyRate) {
+        error(
+          index,
+          regions.length ? `matrixRates.${regions[0].key}` : null,
+          "Enter a rate for at least one region"
+        );
+        valid = false;
+      }
+      for (const region of hasAnyRate ? regions : []) {
+        const v = num(cells[region.key]?.rateValue);
+        if (Number.isNaN(v) || v < 0) {
+          error(index, `matrixRates.${region.key}`, "Rate can't be negative");
+          valid = false;
+        } else if (v == null) {
+          warning(
+            index,
+            `matrixRates.${region.key}`,
+            `Tier ${index + 1} has no ${region.name || "region"} rate; those carts get ${
+              hasFallback ? "the chart fallback rate" : "no rate from this chart"
+            }.`
+          );
+        }
+      }
+    } else {
+      const rate = num(t?.rateValue);
+      if (rate == null) {
+        error(index, "rateValue", "Enter a rate");
+        valid = false;
+      } else if (Number.isNaN(rate) || rate < 0) {
+        error(index, "rateValue", "Rate can't be negative");
+        valid = false;
+      }
+    }
+
+    if (valid) {
+      rows.push({
+        index,
+        serviceCode: groupCode(t?.serviceCode),
+        min: toStoredRangeValue(min ?? 0, units),
+        max: max == null ? null : toStoredRangeValue(max, units),
+      });
+    }
+  });
+
+  // 2) Range checks per pricing group, in /api/rates evaluation order. Ranges are
+  // inclusive integers, so a min 1 above the previous max is contiguous; anything more
+  // is a gap a real cart can fall into. Weight tiers share boundaries instead (0.01 lb/kg
+  // can't express "one gram more"), so that's not worth a warning there.
+  const isWeight = basisType === "WEIGHT";
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.serviceCode)) groups.set(row.serviceCode, []);
+    groups.get(row.serviceCode).push(row);
+  }
+
+  for (const [serviceCode, group] of groups) {
+    group.sort((a, b) => a.min - b.min || (a.max ?? Infinity) - (b.max ?? Infinity));
+    const suffix = groupLabel(serviceCode);
+
+    // Everything below coveredEnd is matched by earlier tiers (Infinity = open-ended)
+    let coveredEnd = null;
+    let coveredBy = null;
+    const seen = [];
+
+    for (const row of group) {
+      const rowEnd = row.max ?? Infinity;
+      const dup = seen.find((s) => s.min === row.min && s.max === row.max);
+      if (dup) {
+        error(row.index, "minValue", `Same range as tier ${dup.index + 1}${suffix}`);
+        continue;
+      }
+
+      if (coveredEnd == null) {
+        if (row.min > 0) {
+          warning(row.index, "minValue", `Gap: no tier covers below ${label(row.min)}${suffix}`);
+        }
+      } else if (rowEnd <= coveredEnd) {
+        const range =
+          row.max == null ? `${label(row.min)}+` : `${label(row.min)}–${label(row.max)}`;
+        error(
+          row.index,
+          "minValue",
+          `Never reached: earlier tiers already match ${range}${suffix}`
+        );
+        seen.push(row);
+        continue;
+      } else if (row.min < coveredEnd) {
+        const winner = seen.filter((s) => (s.max ?? Infinity) > row.min).pop();
+        const n = winner.index + 1;
+        error(
+          row.index,
+          "minValue",
+          `Overlaps tier ${n} up to ${label(coveredEnd)}; tier ${n} wins there${suffix}`
+        );
+      } else if (row.min === coveredEnd && !isWeight) {
+        const n = coveredBy.index + 1;
+        warning(
+          row.index,
+          "minValue",
+          `${label(row.min)} is also tier ${n}'s maximum; ` +
+            `tier ${n} wins at exactly that value${suffix}`
+        );
+      } else if (row.min - coveredEnd > 1) {
+        warning(
+          row.index,
+          "minValue",
+          `Gap: no tier covers ${label(coveredEnd)}–${label(row.min)}${suffix}`
+        );
+      }
+
+      coveredEnd = rowEnd;
+      coveredBy = row;
+      seen.push(row);
+    }
+
+    if (coveredEnd != null && coveredEnd !== Infinity) {
+      warning(
+        coveredBy.index,
+        "maxValue",
+        `Gap: no tier covers above ${label(coveredEnd)}${suffix}. ` +
+          "Leave the last maximum blank for no limit."
+      );
+    }
+  }
+
+  if (hasFallback) {
+    for (const issue of issues) {
+      if (issue.level === "warning" && issue.message.startsWith("Gap:")) {
+        issue.message += " (the chart fallback rate applies there)";
+      }
+    }
+  }
+
+  return { ok: !issues.some((i) => i.level === "error"), issues };
+}
+
+/**
+ * issues -> { [tierIndex]: { [field]: issue } } for field-level display (errors win).
+ */
+export function tierIssuesByField(issues) {
+  const out = {};
+  for (const issue of issues || []) {
+    if (issue.tierIndex == null || !issue.field) continue;
+    out[issue.tierIndex] = out[issue.tierIndex] || {};
+    const existing = out[issue.tierIndex][issue.field];
+    if (!existing || (existing.level === "warning" && issue.level === "error")) {
+      out[issue.tierIndex][issue.field] = issue;
+    }
+  }
+  return out;
+}
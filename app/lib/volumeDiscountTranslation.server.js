@@ -0,0 +1,269 @@
+// app/lib/volumeDiscountTranslation.server.js
+import { normalizeVolumeEligibilityRules } from "./volumeEligibilitySync.server";
+import { describeVolumeTier, normalizeVolumeTier } from "./volumePricingTiers";
+
+/**
+ * Turns the automatic discounts matched by the volume pricing sync
+ * (api.internal.sync-volume-pricing.jsx) into volume pricing groups and their
+ * eligibility rules. Each matched discount is one v2 tier: its minimum quantity
+ * requirement is minEligibleQty, a per-item amount becomes CENTS_OFF_EACH and a
+ * percentage PERCENT_OFF, and the products/collections it applies to become INCLUDE
+ * eligibility rules.
+ *
+ * Supported: active DiscountAutomaticBasic discounts taking a fixed amount off each
+ * item or a percentage off, with a minimum quantity (or no minimum). Everything else
+ * is skipped with a warning naming the discount (title null = applies to the whole
+ * set), shown on the Settings page.
+ *
+ * `adminGraphql(query, variables)` must resolve to the parsed GraphQL JSON body.
+ */
+
+// Discount item connections are fetched per discount to keep query cost down
+const ITEMS_PAGE_SIZE = 250;
+
+function idFromGid(v) {
+  const s = String(v ?? "").trim();
+  const m = s.match(/\/(\d+)\s*$/);
+  return m ? m[1] : s;
+}
+
+export async function fetchDiscountItems(adminGraphql, discountNodeId) {
+  const query = `#graphql
+    query VolumeDiscountItems($id: ID!, $first: Int!) {
+      discountNode(id: $id) {
+        discount {
+          ... on DiscountAutomaticBasic {
+            customerGets {
+              items {
+                __typename
+                ... on AllDiscountItems { allItems }
+                ... on DiscountProducts {
+                  products(first: $first) {
+                    nodes { id title }
+                    pageInfo { hasNextPage }
+                  }
+                  productVariants(first: $first) {
+                    nodes { id product { id title } }
+                    pageInfo { hasNextPage }
+                  }
+                }
+                ... on DiscountCollections {
+                  collections(first: $first) {
+                    nodes { id title }
+                    pageInfo { hasNextPage }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const json = await adminGraphql(query, { id: discountNodeId, first: ITEMS_PAGE_SIZE });
+  const items = json?.data?.discountNode?.discount?.customerGets?.items;
+
+  const products = (items?.products?.nodes ?? []).map((p) => ({
+    id: idFromGid(p.id),
+    title: p.title,
+  }));
+  const variants = items?.productVariants?.nodes ?? [];
+  for (const v of variants) {
+    if (v?.product?.id) products.push({ id: idFromGid(v.product.id), title: v.product.title });
+  }
+
+  return {
+    allItems: items?.__typename === "AllDiscountItems",
+    products,
+    collections: (items?.collections?.nodes ?? []).map((c) => ({
+      id: idFromGid(c.id),
+      title: c.title,
+    })),
+    variantCount: variants.length,
+    truncated: Boolean(
+      items?.products?.pageInfo?.hasNextPage ||
+        items?.productVariants?.pageInfo?.hasNextPage ||
+        items?.collections?.pageInfo?.hasNextPage
+    ),
+  };
+}
+
+function minimumQuantity(requirement) {
+  if (!requirement) return { qty: 1 };
+  if (requirement.__typename === "DiscountMinimumQuantity") {
+    const qty = Number(requirement.greaterThanOrEqualToQuantity);
+    if (Number.isInteger(qty) && qty >= 1) return { qty };
+    return { error: "Minimum quantity requirement couldn't be read" };
+  }
+  if (requirement.__typename === "DiscountMinimumSubtotal") {
+    return { error: "Minimum purchase amount requirements can't be converted; use a quantity" };
+  }
+  return { error: `Unsupported minimum requirement (${requirement.__typename})` };
+}
+
+function perItemDiscount(value) {
+  if (value?.__typename === "DiscountAmount") {
+    if (!value.appliesOnEachItem) {
+      return { error: "Amount is split across the order instead of taken off each item" };
+    }
+    const cents = Math.round(Number(value.amount?.amount) * 100);
+    if (Number.isFinite(cents) && cents > 0) {
+      return { type: "CENTS_OFF_EACH", discountCentsEach: cents };
+    }
+    return { error: "Discount amount couldn't be read" };
+  }
+  if (value?.__typename === "DiscountPercentage") {
+    // Shopify returns 0.1 for 10%
+    const percentBps = Math.round(Number(value.percentage) * 10000);
+    if (Number.isFinite(percentBps) && percentBps > 0 && percentBps <= 10000) {
+      return { type: "PERCENT_OFF", percentBps };
+    }
+    return { error: "Discount percentage couldn't be read" };
+  }
+  return { error: `Unsupported discount value (${value?.__typename || "unknown"})` };
+}
+
+// Same tier type only
+function takesAtLeastAsMuchOff(a, b) {
+  if (a.type === "PERCENT_OFF") return a.percentBps >= b.percentBps;
+  return a.discountCentsEach >= b.discountCentsEach;
+}
+
+function itemRules(items, title) {
+  return [
+    ...items.products.map((p) => ({
+      mode: "INCLUDE",
+      type: "PRODUCT_ID",
+      value: p.id,
+      label: p.title || title,
+    })),
+    ...items.collections.map((c) => ({
+      mode: "INCLUDE",
+      type: "COLLECTION_ID",
+      value: c.id,
+      label: c.title || title,
+    })),
+  ];
+}
+
+/**
+ * discounts = [{ id, type, title, status, minimumRequirement, customerGets, items }], where
+ * items is fetchDiscountItems' result (DiscountAutomaticBasic only).
+ *
+ * Discounts applying to the same products become one GROUP-scoped volume pricing group
+ * (Shopify counts a minimum quantity across all of a discount's items), with id
+ * "discount-<lowest discount ID in the group>" so it stays stable across syncs whatever
+ * order Shopify lists the discounts in.
+ *
+ * @returns {{ groups: Array<{ id, name, scope, tiers }>,
+ *   rulesByGroup: { [groupId]: Array<{ mode, type, value, label }> },
+ *   openGroupIds: string[], converted: Array<{ title, groupName, tier, description }>,
+ *   warnings: Array<{ title, message }> }}
+ * openGroupIds = groups whose products couldn't be read from the discount (e.g. all
+ * products); their eligibility has to be set in Settings.
+ */
+export function translateVolumeDiscounts(discounts) {
+  const warnings = [];
+  const warn = (title, message) => warnings.push({ title: title ?? null, message });
+  const sets = new Map();
+
+  for (const d of Array.isArray(discounts) ? discounts : []) {
+    if (d?.type === "DiscountAutomaticApp") {
+      warn(d.title, "Managed by another app; its tiers aren't readable through the Admin API");
+      continue;
+    }
+    if (d?.type !== "DiscountAutomaticBasic") {
+      warn(d?.title, `Only basic automatic discounts can be converted (${d?.type})`);
+      continue;
+    }
+    if (d.status !== "ACTIVE") {
+      warn(d.title, `Skipped: discount is ${String(d.status || "inactive").toLowerCase()}`);
+      continue;
+    }
+
+    const min = minimumQuantity(d.minimumRequirement);
+    const amount = perItemDiscount(d.customerGets?.value);
+    if (min.error || amount.error) {
+      warn(d.title, min.error || amount.error);
+      continue;
+    }
+
+    // Which products the discount covers decides its group
+    const items = d.items;
+    let rules = [];
+    let setKey;
+    if (!items) {
+      warn(d.title, "Couldn't read which products this discount applies to");
+      setKey = "unknown";
+    } else if (items.allItems) {
+      warn(d.title, "Applies to all products; set this group's eligibility in Settings");
+      setKey = "all";
+    } else {
+      if (items.truncated) warn(d.title, `Only the first ${ITEMS_PAGE_SIZE} products were read`);
+      if (items.variantCount) {
+        warn(d.title, "Applies to specific variants; every variant of those products counts");
+      }
+      rules = itemRules(items, d.title);
+      setKey = rules
+        .map((r) => `${r.type}:${r.value}`)
+        .sort()
+        .join(",");
+    }
+
+    if (!sets.has(setKey)) {
+      sets.set(setKey, {
+        discounts: [],
+        open: setKey === "all" || setKey === "unknown",
+        rules,
+        byQty: new Map(),
+      });
+    }
+    const set = sets.get(setKey);
+    set.discounts.push({ id: idFromGid(d.id), title: d.title });
+
+    const tier = normalizeVolumeTier({ minEligibleQty: min.qty, ...amount });
+    const existing = set.byQty.get(tier.minEligibleQty);
+    if (!existing) {
+      set.byQty.set(tier.minEligibleQty, { title: d.title, tier });
+    } else if (existing.tier.type !== tier.type) {
+      warn(d.title, `Same minimum quantity as "${existing.title}"; ignored`);
+    } else {
+      const [keep, drop] = takesAtLeastAsMuchOff(existing.tier, tier)
+        ? [existing, { title: d.title, tier }]
+        : [{ title: d.title, tier }, existing];
+      set.byQty.set(tier.minEligibleQty, keep);
+      warn(drop.title, `Same minimum quantity as "${keep.title}", which takes more off; ignored`);
+    }
+  }
+
+  const groups = [];
+  const rulesByGroup = {};
+  const openGroupIds = [];
+  const converted = [];
+  for (const set of sets.values()) {
+    // The lowest discount ID names the group (numeric IDs: shorter = lower)
+    const [first] = set.discounts.sort(
+      (a, b) => a.id.length - b.id.length || a.id.localeCompare(b.id)
+    );
+    set.id = `discount-${first.id || groups.length + 1}`;
+    set.name = first.title || `Group ${groups.length + 1}`;
+    const tiers = Array.from(set.byQty.values()).sort(
+      (a, b) => a.tier.minEligibleQty - b.tier.minEligibleQty
+    );
+    groups.push({ id: set.id, name: set.name, scope: "GROUP", tiers: tiers.map((c) => c.tier) });
+    rulesByGroup[set.id] = set.rules;
+    if (set.open) openGroupIds.push(set.id);
+    for (const c of tiers) {
+      converted.push({ ...c, groupName: set.name, description: describeVolumeTier(c.tier) });
+    }
+  }
+
+  return {
+    groups,
+    rulesByGroup: normalizeVolumeEligibilityRules({ version: 2, groups: rulesByGroup }).groups,
+    openGroupIds,
+    converted,
+    warnings,
+  };
+}
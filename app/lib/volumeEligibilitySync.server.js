@@ -0,0 +1,183 @@
+// app/lib/volumeEligibilitySync.server.js
+import prisma from "../db.server";
+import {
+  fetchProductIdsByCollection,
+  fetchProductIdsByTag,
+} from "./productIndexSync.server";
+import { normalizeChartSelectors } from "./selectorEngine.server";
+import { DEFAULT_VOLUME_GROUP_ID } from "./volumePricingTiers";
+
+/**
+ * Volume pricing eligibility: per volume pricing group, merchants pick collections,
+ * product tags and products (each included or excluded) in Settings; the sync expands
+ * them through the Admin API into the eligibility snapshot read by
+ * volumePricingEngine.server.js.
+ *
+ * Rules (volumeEligibilityRulesJson), keyed by volume pricing group id:
+ *   { version: 2, groups: { [groupId]: [{ mode: "INCLUDE"|"EXCLUDE", type, value, label }] } }
+ * with the same types/values as ShippingSelector rows (numeric IDs, trimmed tags).
+ * v1 rules ({ version: 1, rules }) belong to the default group.
+ *
+ * Snapshot (volumeEligibilitySnapshotJson):
+ *   { version: 2, pulledAt, productCount, warnings,
+ *     groups: { [groupId]: { eligibleProductIds, excludedProductIds, productCount,
+ *       warnings } } }
+ * Excluded products are removed from eligibleProductIds; productCount is what's left
+ * (top level: distinct products across groups).
+ *
+ * `adminGraphql(query, variables)` must resolve to the parsed GraphQL JSON body.
+ */
+
+function safeJsonParse(str, fallback) {
+  try {
+    if (typeof str !== "string") return fallback;
+    return JSON.parse(str);
+  } catch {
+    return fallback;
+  }
+}
+
+function ruleKey(r) {
+  const value = r.type === "PRODUCT_TAG" ? r.value.toLowerCase() : r.value;
+  return `${r.mode}:${r.type}:${value}`;
+}
+
+function normalizeRuleList(list) {
+  // normalizeChartSelectors drops labels; keep the first label seen per rule
+  const labels = new Map();
+  for (const row of list) {
+    const [rule] = normalizeChartSelectors([row]);
+    const label = String(row?.label ?? "").trim();
+    if (rule && label && !labels.has(ruleKey(rule))) labels.set(ruleKey(rule), label);
+  }
+
+  return normalizeChartSelectors(list).map((r) => ({
+    ...r,
+    label: labels.get(ruleKey(r)) || r.value,
+  }));
+}
+
+export function normalizeVolumeEligibilityRules(raw) {
+  const groups = {};
+  if (raw?.version === 2 && raw.groups && typeof raw.groups === "object") {
+    for (const [groupId, list] of Object.entries(raw.groups)) {
+      const id = String(groupId).trim();
+      if (id && Array.isArray(list)) groups[id] = normalizeRuleList(list);
+    }
+  } else {
+    const list = Array.isArray(raw?.rules) ? raw.rules : Array.isArray(raw) ? raw : [];
+    if (list.length) groups[DEFAULT_VOLUME_GROUP_ID] = normalizeRuleList(list);
+  }
+  return { version: 2, groups };
+}
+
+export function hasVolumeEligibilityRules(rulesDoc) {
+  return Object.values(rulesDoc?.groups || {}).some((rules) => rules.length > 0);
+}
+
+export function parseVolumeEligibilityRules(shopSettings) {
+  return normalizeVolumeEligibilityRules(
+    safeJsonParse(shopSettings?.volumeEligibilityRulesJson, {})
+  );
+}
+
+// fetched = Map shared across groups, so a tag/collection used twice is fetched once
+async function expandRules(rules, adminGraphql, warnings, fetched) {
+  const ids = new Set();
+  for (const rule of rules) {
+    if (rule.type === "PRODUCT_ID") {
+      ids.add(rule.value);
+      continue;
+    }
+
+    const isTag = rule.type === "PRODUCT_TAG";
+    const key = isTag ? `tag:${rule.value.toLowerCase()}` : `col:${rule.value}`;
+    if (!fetched.has(key)) {
+      fetched.set(
+        key,
+        isTag
+          ? await fetchProductIdsByTag(adminGraphql, rule.value.toLowerCase())
+          : await fetchProductIdsByCollection(adminGraphql, rule.value)
+      );
+    }
+    const result = fetched.get(key);
+    if (result.truncated) {
+      warnings.push(`${isTag ? "tag" : "collection"}_truncated:${rule.label || rule.value}`);
+    }
+    for (const id of result.ids) ids.add(id);
+  }
+  return ids;
+}
+
+export async function buildVolumeEligibilitySnapshot({ rules, adminGraphql }) {
+  const { groups: rulesByGroup } = normalizeVolumeEligibilityRules(rules);
+  const fetched = new Map();
+  const groups = {};
+  const allEligible = new Set();
+
+  for (const [groupId, groupRules] of Object.entries(rulesByGroup)) {
+    const warnings = [];
+    const includes = groupRules.filter((r) => r.mode === "INCLUDE");
+    const excludes = groupRules.filter((r) => r.mode === "EXCLUDE");
+    if (!includes.length) warnings.push("no_include_rules");
+
+    const included = await expandRules(includes, adminGraphql, warnings, fetched);
+    const excluded = await expandRules(excludes, adminGraphql, warnings, fetched);
+    const eligibleProductIds = Array.from(included).filter((id) => !excluded.has(id));
+    for (const id of eligibleProductIds) allEligible.add(id);
+
+    groups[groupId] = {
+      eligibleProductIds,
+      excludedProductIds: Array.from(excluded),
+      productCount: eligibleProductIds.length,
+      warnings,
+    };
+  }
+
+  return {
+    version: 2,
+    pulledAt: new Date().toISOString(),
+    productCount: allEligible.size,
+    warnings: Object.keys(groups).length ? [] : ["no_rules"],
+    groups,
+  };
+}
+
+/**
+ * Rebuild + persist the snapshot from the saved rules. Errors are recorded on
+ * ShopSettings and rethrown; the previous snapshot is kept.
+ */
+export async function syncVolumeEligibilityForShop({ shop, adminGraphql }) {
+  try {
+    const settings = await prisma.shopSettings.findUnique({ where: { shop } });
+    const snapshot = await buildVolumeEligibilitySnapshot({
+      rules: parseVolumeEligibilityRules(settings),
+      adminGraphql,
+    });
+
+    await prisma.shopSettings.upsert({
+      where: { shop },
+      create: {
+        shop,
+        volumeEligibilitySnapshotJson: JSON.stringify(snapshot),
+        volumeEligibilityLastSyncedAt: new Date(),
+        volumeEligibilityLastSyncError: null,
+      },
+      update: {
+        volumeEligibilitySnapshotJson: JSON.stringify(snapshot),
+        volumeEligibilityLastSyncedAt: new Date(),
+        volumeEligibilityLastSyncError: null,
+      },
+    });
+
+    return snapshot;
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    await prisma.shopSettings.upsert({
+      where: { shop },
+      create: { shop, volumeEligibilityLastSyncError: message },
+      update: { volumeEligibilityLastSyncError: message },
+    });
+    throw err;
+  }
+}
@@ -1,22 +1,38 @@
 // app/lib/pricing/volumePricingEngine.server.js
+import {
+  DEFAULT_VOLUME_GROUP_ID,
+  describeVolumeTier,
+  normalizeVolumeGroups,
+} from "./volumePricingTiers";
 
 /**
  * Volume Pricing engine (server-only).
  * - Integer cents only
  * - Safe fallbacks
- * - Mix-and-match eligible qty across cart
+ * - Independent volume pricing groups, each mixing and matching within its scope
  *
- * Normalized config shape (v1):
+ * Normalized config shape (v3; v1/v2 tier tables are one default group):
  * {
- *   version: 1,
- *   tiers: [{ minEligibleQty: number, discountCentsEach: number }],
+ *   version: 3,
+ *   groups: [{ id, name, scope: "GROUP"|"PRODUCT"|"VARIANT",
+ *     tiers: [{ minEligibleQty, type, discountCentsEach | percentBps | unitPriceCents }] }],
  * }
+ * Tier types, scopes and their shapes live in volumePricingTiers.js.
  *
- * Eligibility snapshot shape (v1):
+ * A cart line belongs to the first group (in config order) whose eligibility includes
+ * its product, so each unit counts toward at most one group.
+ *
+ * Rounding follows Shopify's line-level allocation: each cart line's discount is
+ * computed on the line total (unit price x quantity) and rounded half up to a whole
+ * cent once per line, never below $0 for the line.
+ *
+ * Eligibility snapshot shape (v2; a v1 snapshot is the default group's):
  * {
- *   version: 1,
- *   eligibleProductIds: string[],   // numeric Shopify product IDs as strings (no gid://)
- *   excludedProductIds: string[],   // exclusions win over eligibility
+ *   version: 2,
+ *   groups: { [groupId]: {
+ *     eligibleProductIds: string[],   // numeric Shopify product IDs as strings (no gid://)
+ *     excludedProductIds: string[],   // exclusions win over eligibility
+ *   } },
  * }
  */
 
@@ -42,6 +58,7 @@ function normalizeIdLike(v) {
   return s;
 }
 
+// tiers are normalized (see normalizeVolumeTiers)
 function pickBestTier(tiers, eligibleQty) {
   if (!Array.isArray(tiers) || tiers.length === 0) return null;
   const q = toInt(eligibleQty, 0);
@@ -49,25 +66,85 @@ function pickBestTier(tiers, eligibleQty) {
   // Highest minEligibleQty <= q wins
   let best = null;
   for (const t of tiers) {
-    const minEligibleQty = toInt(t?.minEligibleQty, 0);
-    const discountCentsEach = toInt(t?.discountCentsEach, 0);
-    if (minEligibleQty <= 0) continue;
-    if (discountCentsEach <= 0) continue;
-    if (q >= minEligibleQty) {
-      if (!best || minEligibleQty > best.minEligibleQty) {
-        best = { minEligibleQty, discountCentsEach };
-      }
-    }
+    if (q >= t.minEligibleQty && (!best || t.minEligibleQty > best.minEligibleQty)) best = t;
   }
   return best;
 }
 
+// Discount on one cart line, in cents (0..line total)
+function lineDiscountCents(tier, unitCents, qty) {
+  const lineCents = unitCents * qty;
+  let off = 0;
+  if (tier.type === "PERCENT_OFF") {
+    off = Math.round((lineCents * tier.percentBps) / 10000);
+  } else if (tier.type === "FIXED_UNIT_PRICE") {
+    off = (unitCents - tier.unitPriceCents) * qty;
+  } else {
+    off = tier.discountCentsEach * qty;
+  }
+  return Math.min(Math.max(off, 0), lineCents);
+}
+
+function eligibilityByGroup(snapshot) {
+  const out = new Map();
+  const add = (groupId, sets) =>
+    out.set(groupId, {
+      eligible: new Set((sets?.eligibleProductIds || []).map(normalizeIdLike)),
+      excluded: new Set((sets?.excludedProductIds || []).map(normalizeIdLike)),
+    });
+
+  if (snapshot?.version === 2 && snapshot.groups && typeof snapshot.groups === "object") {
+    for (const [groupId, sets] of Object.entries(snapshot.groups)) add(groupId, sets);
+  } else if (snapshot?.version === 1) {
+    add(DEFAULT_VOLUME_GROUP_ID, snapshot);
+  }
+  return out;
+}
+
+function money(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+const SCOPE_UNITS = { PRODUCT: "product", VARIANT: "variant" };
+
+function poolKey(scope, line) {
+  if (scope === "PRODUCT") return line.productId;
+  if (scope === "VARIANT") return line.variantId || `product:${line.productId}`;
+  return "group";
+}
+
+function explainGroup(result) {
+  const { name, scope, eligibleQty, pools, discountCentsTotal } = result;
+  if (result.eligibilityMissing) return `${name}: no eligible products synced`;
+  if (eligibleQty === 0) return `${name}: no eligible items in cart`;
+
+  if (scope === "GROUP") {
+    const tier = pools[0]?.appliedTier;
+    return tier
+      ? `${name}: ${eligibleQty} eligible → ${tier.minEligibleQty}+ tier ` +
+          `(${describeVolumeTier(tier)}), ${money(discountCentsTotal)} off`
+      : `${name}: ${eligibleQty} eligible, no tier reached`;
+  }
+
+  const unit = SCOPE_UNITS[scope];
+  const reached = pools.filter((p) => p.appliedTier).length;
+  const across = `${eligibleQty} eligible across ${pools.length} ${unit}${
+    pools.length === 1 ? "" : "s"
+  }`;
+  return reached
+    ? `${name}: ${across}, ${reached} reached a tier, ${money(discountCentsTotal)} off`
+    : `${name}: ${across}, no tier reached`;
+}
+
 /**
  * @param {Object} args
  * @param {Array} args.items Shopify carrier payload items (requires_shipping already filtered is fine)
  * @param {Object|null} args.config normalized config
  * @param {Object|null} args.eligibilitySnapshot eligibility snapshot
  * @param {number} args.hardItemCap safety cap
+ * @returns {Object} totals plus groups: [{ groupId, name, scope, eligibleQty,
+ *   discountCentsTotal, pools: [{ key, eligibleQty, appliedTier, discountCentsTotal }],
+ *   explanation }]; appliedTier is the first tier applied in any group.
  */
 export function computeVolumeAdjustedMerchCents({
   items,
@@ -84,119 +161,117 @@ export function computeVolumeAdjustedMerchCents({
       appliedTier: null,
       discountCentsTotal: 0,
       warnings: [],
+      groups: [],
     };
   }
 
   const warnings = [];
-
-  const tiers = config?.version === 1 ? config?.tiers : null;
-  const eligibleSet =
-    eligibilitySnapshot?.version === 1
-      ? new Set((eligibilitySnapshot.eligibleProductIds || []).map(normalizeIdLike))
-      : new Set();
-  const excludedSet =
-    eligibilitySnapshot?.version === 1
-      ? new Set((eligibilitySnapshot.excludedProductIds || []).map(normalizeIdLike))
-      : new Set();
-
-  // If there’s no config tiers, do nothing
-  if (!Array.isArray(tiers) || tiers.length === 0) {
-    let merchCents = 0;
-    const capped = items.slice(0, hardItemCap);
-    if (items.length > hardItemCap) warnings.push("items_capped");
-    for (const item of capped) {
-      const unitCents = toInt(item?.price, 0);
-      const qty = clampInt(item?.quantity, 0, 1_000_000);
-      merchCents += unitCents * qty;
-    }
-    return {
-      ok: true,
-      volumeAdjustedMerchCents: merchCents,
-      eligibleQty: 0,
-      appliedTier: null,
-      discountCentsTotal: 0,
-      warnings,
-    };
-  }
-
   const cappedItems = items.slice(0, hardItemCap);
   if (items.length > hardItemCap) warnings.push("items_capped");
 
-  // 1) compute original merch + eligible qty
+  // 1) compute original merch
   let merchCents = 0;
-  let eligibleQty = 0;
-
-  const normalized = cappedItems.map((item) => {
+  const lines = cappedItems.map((item) => {
     const unitCents = toInt(item?.price, 0);
     const qty = clampInt(item?.quantity, 0, 1_000_000);
-    const productId = normalizeIdLike(item?.product_id || item?.productId || item?.product);
-
-    const isExcluded = productId && excludedSet.has(productId);
-    const isEligible = productId && eligibleSet.has(productId) && !isExcluded;
-
     merchCents += unitCents * qty;
-    if (isEligible) eligibleQty += qty;
-
     return {
       unitCents,
       qty,
-      productId,
-      isEligible,
-      isExcluded,
+      productId: normalizeIdLike(item?.product_id || item?.productId || item?.product),
+      variantId: normalizeIdLike(item?.variant_id || item?.variantId),
+      groupId: null,
     };
   });
 
-  // If eligibility snapshot is empty, default to “ineligible” (safe)
-  if (eligibleSet.size === 0) {
+  // If there are no groups with tiers, do nothing
+  const groups = normalizeVolumeGroups(config).filter((g) => g.tiers.length > 0);
+  if (groups.length === 0) {
     return {
       ok: true,
       volumeAdjustedMerchCents: merchCents,
       eligibleQty: 0,
       appliedTier: null,
       discountCentsTotal: 0,
-      warnings: [...warnings, "eligibility_missing_or_empty"],
+      warnings,
+      groups: [],
     };
   }
 
-  // 2) pick tier by eligibleQty
-  const appliedTier = pickBestTier(tiers, eligibleQty);
-  if (!appliedTier) {
-    return {
-      ok: true,
-      volumeAdjustedMerchCents: merchCents,
-      eligibleQty,
-      appliedTier: null,
+  // 2) assign each line to the first group that includes its product
+  const eligibility = eligibilityByGroup(eligibilitySnapshot);
+  for (const line of lines) {
+    if (!line.productId) continue;
+    const group = groups.find((g) => {
+      const sets = eligibility.get(g.id);
+      return sets && sets.eligible.has(line.productId) && !sets.excluded.has(line.productId);
+    });
+    if (group) line.groupId = group.id;
+  }
+
+  // 3) per group: pool quantities by scope, pick a tier per pool, discount its lines
+  let discountCentsTotal = 0;
+  let eligibleQty = 0;
+  let appliedTier = null;
+  const groupResults = groups.map((group) => {
+    const result = {
+      groupId: group.id,
+      name: group.name,
+      scope: group.scope,
+      eligibleQty: 0,
       discountCentsTotal: 0,
-      warnings,
+      pools: [],
     };
-  }
 
-  const discountEach = toInt(appliedTier.discountCentsEach, 0);
+    // If a group's eligibility is empty, default to “ineligible” (safe)
+    if (!eligibility.get(group.id)?.eligible.size) {
+      warnings.push(`eligibility_missing_or_empty:${group.name}`);
+      result.eligibilityMissing = true;
+      result.explanation = explainGroup(result);
+      return result;
+    }
 
-  // 3) apply discount to eligible items only, clamp at 0 per unit
-  let discountCentsTotal = 0;
-  let adjustedMerchCents = 0;
+    const pools = new Map();
+    for (const line of lines) {
+      if (line.groupId !== group.id) continue;
+      const key = poolKey(group.scope, line);
+      if (!pools.has(key)) pools.set(key, { key, eligibleQty: 0, lines: [] });
+      const pool = pools.get(key);
+      pool.eligibleQty += line.qty;
+      pool.lines.push(line);
+    }
 
-  for (const it of normalized) {
-    const baseUnit = it.unitCents;
-    const qty = it.qty;
+    for (const pool of pools.values()) {
+      const tier = pickBestTier(group.tiers, pool.eligibleQty);
+      let off = 0;
+      if (tier) {
+        for (const line of pool.lines) off += lineDiscountCents(tier, line.unitCents, line.qty);
+        if (!appliedTier) appliedTier = tier;
+      }
 
-    if (!it.isEligible) {
-      adjustedMerchCents += baseUnit * qty;
-      continue;
+      result.pools.push({
+        key: pool.key,
+        eligibleQty: pool.eligibleQty,
+        appliedTier: tier,
+        discountCentsTotal: off,
+      });
+      result.eligibleQty += pool.eligibleQty;
+      result.discountCentsTotal += off;
     }
 
-    const discountedUnit = Math.max(0, baseUnit - discountEach);
-    adjustedMerchCents += discountedUnit * qty;
-    discountCentsTotal += (baseUnit - discountedUnit) * qty;
-  }
+    eligibleQty += result.eligibleQty;
+    discountCentsTotal += result.discountCentsTotal;
+    result.explanation = explainGroup(result);
+    return result;
+  });
 
   return {
     ok: true,
-    volumeAdjustedMerchCents: adjustedMerchCents,
+    volumeAdjustedMerchCents: merchCents - discountCentsTotal,
     eligibleQty,
     appliedTier,
     discountCentsTotal,
     warnings,
+    groups: groupResults,
   };
 }
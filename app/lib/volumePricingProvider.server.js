@@ -1,5 +1,10 @@
 // app/lib/pricing/volumePricingProvider.server.js
 import prisma from "../db.server";
+import {
+  DEFAULT_VOLUME_GROUP_ID,
+  normalizeVolumeGroups,
+  normalizeVolumeTiers,
+} from "./volumePricingTiers";
 
 function safeJsonParse(str, fallback) {
   try {
@@ -13,18 +18,20 @@ function safeJsonParse(str, fallback) {
 function normalizeConfig(raw) {
   if (!raw || typeof raw !== "object") return null;
 
-  // Accept either {version:1, tiers:[...]} or legacy-ish {volumeTable:[...]}
-  if (raw.version === 1 && Array.isArray(raw.tiers)) {
-    return { version: 1, tiers: raw.tiers };
+  // Accept {version:3, groups:[...]}, {version:2|1, tiers:[...]} (one default group) or
+  // legacy-ish {volumeTable:[...]}; all come out as v3
+  if (raw.version === 3 && Array.isArray(raw.groups)) {
+    return { version: 3, groups: normalizeVolumeGroups(raw) };
+  }
+
+  if ((raw.version === 1 || raw.version === 2) && Array.isArray(raw.tiers)) {
+    return { version: 3, groups: normalizeVolumeGroups(raw) };
   }
 
   if (Array.isArray(raw.volumeTable)) {
     return {
-      version: 1,
-      tiers: raw.volumeTable.map((t) => ({
-        minEligibleQty: Number(t?.minEligibleQty ?? 0),
-        discountCentsEach: Number(t?.discountCentsEach ?? 0),
-      })),
+      version: 3,
+      groups: normalizeVolumeGroups({ version: 2, tiers: normalizeVolumeTiers(raw.volumeTable) }),
     };
   }
 
@@ -33,14 +40,22 @@ function normalizeConfig(raw) {
 
 function normalizeEligibility(raw) {
   if (!raw || typeof raw !== "object") return null;
-  if (raw.version === 1) return raw;
+  if (raw.version === 2 && raw.groups && typeof raw.groups === "object") return raw;
 
-  // If someone stored { eligibleProductIds, excludedProductIds } without version:
-  if (Array.isArray(raw.eligibleProductIds) || Array.isArray(raw.excludedProductIds)) {
+  // v1 (or { eligibleProductIds, excludedProductIds } without version) = the default group
+  if (
+    raw.version === 1 ||
+    Array.isArray(raw.eligibleProductIds) ||
+    Array.isArray(raw.excludedProductIds)
+  ) {
     return {
-      version: 1,
-      eligibleProductIds: raw.eligibleProductIds || [],
-      excludedProductIds: raw.excludedProductIds || [],
+      version: 2,
+      groups: {
+        [DEFAULT_VOLUME_GROUP_ID]: {
+          eligibleProductIds: raw.eligibleProductIds || [],
+          excludedProductIds: raw.excludedProductIds || [],
+        },
+      },
     };
   }
 
@@ -49,7 +64,13 @@ function normalizeEligibility(raw) {
 
 export async function loadVolumePricingForShop(shop) {
   const shopSettings = await prisma.shopSettings.findUnique({ where: { shop } });
+  return parseVolumePricingSettings(shopSettings);
+}
 
+/**
+ * Volume config + eligibility from an already-loaded ShopSettings row (used by the rate table).
+ */
+export function parseVolumePricingSettings(shopSettings) {
   const config = normalizeConfig(
     safeJsonParse(shopSettings?.volumePricingConfigJson, null)
   );
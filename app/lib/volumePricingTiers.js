@@ -0,0 +1,266 @@
+// app/lib/volumePricingTiers.js
+
+/**
+ * Volume pricing groups and tier tables: normalization (shared with
+ * volumePricingEngine.server.js), validation + preview for the Settings editor and its
+ * save action.
+ *
+ * Config v3 (volumePricingConfigJson) is a list of named groups, each with its own
+ * eligibility set (keyed by group id, see volumeEligibilitySync.server.js), tier table
+ * and mix-and-match scope:
+ *   { version: 3, groups: [{ id, name, scope: "GROUP"|"PRODUCT"|"VARIANT", tiers }] }
+ * GROUP adds up eligible quantities across the whole group; PRODUCT and VARIANT only
+ * across lines of the same product / variant. v1 and v2 configs (a bare tier table)
+ * read as one GROUP-scoped group with id DEFAULT_VOLUME_GROUP_ID.
+ *
+ * Saved tiers are the v2 config shape, sorted by quantity:
+ *   { minEligibleQty, type: "CENTS_OFF_EACH", discountCentsEach }
+ *   { minEligibleQty, type: "PERCENT_OFF", percentBps }          (1000 = 10% off)
+ *   { minEligibleQty, type: "FIXED_UNIT_PRICE", unitPriceCents }  (each unit costs this)
+ * v1 tiers ({ minEligibleQty, discountCentsEach }, no type) read as CENTS_OFF_EACH.
+ *
+ * Editor rows are { minEligibleQty, type, value } with value in dollars, or percent for
+ * PERCENT_OFF.
+ *
+ * Errors: quantities that aren't whole numbers >= 1, quantities that don't ascend,
+ * discounts that aren't positive, percentages over 100. Warning: a bigger quantity with
+ * a smaller discount (same tier type only).
+ */
+
+export const VOLUME_TIER_TYPES = ["CENTS_OFF_EACH", "PERCENT_OFF", "FIXED_UNIT_PRICE"];
+export const VOLUME_GROUP_SCOPES = ["GROUP", "PRODUCT", "VARIANT"];
+export const DEFAULT_VOLUME_GROUP_ID = "default";
+
+function toNumberOrNull(v) {
+  if (v == null || String(v).trim() === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Saved tier (v1 or v2) -> v2 tier, or null when it can't apply a discount.
+ */
+export function normalizeVolumeTier(t) {
+  const minEligibleQty = Math.trunc(Number(t?.minEligibleQty));
+  if (!Number.isFinite(minEligibleQty) || minEligibleQty < 1) return null;
+  const type = t?.type == null ? "CENTS_OFF_EACH" : t.type;
+
+  if (type === "CENTS_OFF_EACH") {
+    const discountCentsEach = Math.trunc(Number(t.discountCentsEach));
+    return discountCentsEach > 0 ? { minEligibleQty, type, discountCentsEach } : null;
+  }
+  if (type === "PERCENT_OFF") {
+    const percentBps = Math.trunc(Number(t.percentBps));
+    return percentBps > 0 && percentBps <= 10000 ? { minEligibleQty, type, percentBps } : null;
+  }
+  if (type === "FIXED_UNIT_PRICE") {
+    const unitPriceCents = Math.trunc(Number(t.unitPriceCents));
+    return unitPriceCents >= 0 ? { minEligibleQty, type, unitPriceCents } : null;
+  }
+  return null;
+}
+
+export function normalizeVolumeTiers(tiers) {
+  return (Array.isArray(tiers) ? tiers : [])
+    .map(normalizeVolumeTier)
+    .filter(Boolean)
+    .sort((a, b) => a.minEligibleQty - b.minEligibleQty);
+}
+
+function money(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * "$1.50 off each" / "10% off" / "$8.00 each" (v1 tiers read as CENTS_OFF_EACH).
+ */
+export function describeVolumeTier(tier) {
+  const t = normalizeVolumeTier(tier);
+  if (!t) return "";
+  if (t.type === "PERCENT_OFF") return `${t.percentBps / 100}% off`;
+  if (t.type === "FIXED_UNIT_PRICE") return `${money(t.unitPriceCents)} each`;
+  return `${money(t.discountCentsEach)} off each`;
+}
+
+// Larger = better deal for the buyer, within one tier type
+function dealSize(tier) {
+  if (tier.type === "PERCENT_OFF") return tier.percentBps;
+  if (tier.type === "FIXED_UNIT_PRICE") return -tier.unitPriceCents;
+  return tier.discountCentsEach;
+}
+
+function tierFromRow(row, error, index) {
+  const type = VOLUME_TIER_TYPES.includes(row?.type) ? row.type : "CENTS_OFF_EACH";
+  const value = toNumberOrNull(row?.value);
+
+  if (value == null) {
+    error(index, "value", type === "FIXED_UNIT_PRICE" ? "Enter a unit price" : "Enter a discount");
+    return null;
+  }
+  if (type === "PERCENT_OFF") {
+    const percentBps = Math.round(value * 100);
+    if (Number.isNaN(value) || percentBps <= 0) {
+      error(index, "value", "Discount must be more than 0%");
+      return null;
+    }
+    if (percentBps > 10000) {
+      error(index, "value", "Discount can't be more than 100%");
+      return null;
+    }
+    return { type, percentBps };
+  }
+  if (type === "FIXED_UNIT_PRICE") {
+    if (Number.isNaN(value) || value < 0) {
+      error(index, "value", "Unit price can't be negative");
+      return null;
+    }
+    return { type, unitPriceCents: Math.round(value * 100) };
+  }
+  if (Number.isNaN(value) || Math.round(value * 100) <= 0) {
+    error(index, "value", "Discount must be more than $0.00");
+    return null;
+  }
+  return { type, discountCentsEach: Math.round(value * 100) };
+}
+
+export function validateVolumeTiers(rows) {
+  const issues = [];
+  const error = (index, field, message) => issues.push({ level: "error", index, field, message });
+  const tiers = [];
+
+  (Array.isArray(rows) ? rows : []).forEach((row, index) => {
+    const qty = toNumberOrNull(row?.minEligibleQty);
+    let valid = true;
+
+    if (qty == null) {
+      error(index, "minEligibleQty", "Enter a quantity");
+      valid = false;
+    } else if (!Number.isInteger(qty) || qty < 1) {
+      error(index, "minEligibleQty", "Quantity must be a whole number of 1 or more");
+      valid = false;
+    }
+
+    const tier = tierFromRow(row, error, index);
+    if (valid && tier) tiers.push({ index, minEligibleQty: qty, ...tier });
+  });
+
+  // Rows must ascend as entered, so the table reads the way the engine applies it
+  for (let i = 1; i < tiers.length; i++) {
+    const prev = tiers[i - 1];
+    const cur = tiers[i];
+    if (cur.minEligibleQty <= prev.minEligibleQty) {
+      error(cur.index, "minEligibleQty", `Must be more than ${prev.minEligibleQty} (row above)`);
+    } else if (cur.type === prev.type && dealSize(cur) < dealSize(prev)) {
+      issues.push({
+        level: "warning",
+        index: cur.index,
+        field: "value",
+        message: "Smaller discount than the row above: buying more saves less",
+      });
+    }
+  }
+
+  const ok = !issues.some((i) => i.level === "error");
+  const saved = tiers.map(({ index, ...tier }) => tier);
+  return { ok, issues, tiers: ok ? saved : [] };
+}
+
+/**
+ * Saved tiers (v1 or v2) -> editor rows.
+ */
+export function volumeTiersToRows(tiers) {
+  return normalizeVolumeTiers(tiers).map((t) => {
+    const row = { minEligibleQty: String(t.minEligibleQty), type: t.type };
+    if (t.type === "PERCENT_OFF") return { ...row, value: String(t.percentBps / 100) };
+    const cents = t.type === "FIXED_UNIT_PRICE" ? t.unitPriceCents : t.discountCentsEach;
+    return { ...row, value: (cents / 100).toFixed(2) };
+  });
+}
+
+/**
+ * Valid tiers -> quantity bands: [{ fromQty, toQty (null = and up), tier }].
+ * Quantities below the first tier get no discount (tier null).
+ */
+export function volumeTierPreview(tiers) {
+  const sorted = normalizeVolumeTiers(tiers);
+  if (!sorted.length) return [];
+
+  const bands = [];
+  if (sorted[0].minEligibleQty > 1) {
+    bands.push({ fromQty: 1, toQty: sorted[0].minEligibleQty - 1, tier: null });
+  }
+  sorted.forEach((t, i) => {
+    const next = sorted[i + 1];
+    bands.push({
+      fromQty: t.minEligibleQty,
+      toQty: next ? next.minEligibleQty - 1 : null,
+      tier: t,
+    });
+  });
+  return bands;
+}
+
+function normalizeGroup(g, index) {
+  return {
+    id: String(g?.id ?? "").trim(),
+    name: String(g?.name ?? "").trim() || `Group ${index + 1}`,
+    scope: VOLUME_GROUP_SCOPES.includes(g?.scope) ? g.scope : "GROUP",
+    tiers: normalizeVolumeTiers(g?.tiers),
+  };
+}
+
+/**
+ * Saved config (v1, v2 or v3) -> [{ id, name, scope, tiers }]; groups without an id or
+ * with a repeated id are dropped.
+ */
+export function normalizeVolumeGroups(config) {
+  if (!config || typeof config !== "object") return [];
+  if (config.version === 1 || config.version === 2) {
+    return [
+      normalizeGroup(
+        { id: DEFAULT_VOLUME_GROUP_ID, name: "Volume pricing", tiers: config.tiers },
+        0
+      ),
+    ];
+  }
+  if (config.version !== 3 || !Array.isArray(config.groups)) return [];
+
+  const seen = new Set();
+  return config.groups.map(normalizeGroup).filter((g) => {
+    if (!g.id || seen.has(g.id)) return false;
+    seen.add(g.id);
+    return true;
+  });
+}
+
+/**
+ * Editor groups [{ id, name, scope, rows }] -> { ok, groups: [{ id, name, scope, tiers }],
+ * issues: { [groupIndex]: { name?, tiers: validateVolumeTiers issues } } }.
+ * Errors: blank or repeated group names, plus each group's tier errors.
+ */
+export function validateVolumeGroups(groups) {
+  const issues = {};
+  const saved = [];
+  const names = new Set();
+  let ok = true;
+
+  (Array.isArray(groups) ? groups : []).forEach((g, index) => {
+    const validation = validateVolumeTiers(g?.rows);
+    const name = String(g?.name ?? "").trim();
+    let nameError = null;
+    if (!name) nameError = "Enter a group name";
+    else if (names.has(name.toLowerCase())) nameError = "Another group has this name";
+    names.add(name.toLowerCase());
+
+    issues[index] = { name: nameError, tiers: validation.issues };
+    if (nameError || !validation.ok) ok = false;
+    saved.push({
+      id: String(g?.id ?? "").trim(),
+      name,
+      scope: VOLUME_GROUP_SCOPES.includes(g?.scope) ? g.scope : "GROUP",
+      tiers: validation.tiers,
+    });
+  });
+
+  return { ok, groups: ok ? saved : [], issues };
+}
@@ -0,0 +1,90 @@
+// app/lib/zonesSnapshot.server.js
+
+/**
+ * Pull delivery zones (zone -> countries -> provinces) via the embedded admin client.
+ * Stored as ShopSettings.zonesSnapshotJson; drives the managed-zones picker and gate.
+ */
+export async function syncZonesSnapshot(admin) {
+  const zonesQuery = `#graphql
+    query DeliveryZonesOnly {
+      deliveryProfiles(first: 25) {
+        edges {
+          node {
+            profileLocationGroups {
+              locationGroupZones(first: 150) {
+                edges {
+                  node {
+                    zone {
+                      id
+                      name
+                      countries {
+                        name
+                        code { countryCode restOfWorld }
+                        provinces { name code }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const zonesRes = await admin.graphql(zonesQuery);
+  const zonesJson = await zonesRes.json();
+
+  if (zonesJson?.errors?.length) {
+    throw new Error(zonesJson.errors.map((e) => e.message).join("; "));
+  }
+
+  const zones = [];
+  const dpEdges = zonesJson?.data?.deliveryProfiles?.edges || [];
+  for (const dpEdge of dpEdges) {
+    const plgs = dpEdge?.node?.profileLocationGroups || [];
+    for (const plg of plgs) {
+      const lgzEdges = plg?.locationGroupZones?.edges || [];
+      for (const lgzEdge of lgzEdges) {
+        const zone = lgzEdge?.node?.zone;
+        if (!zone?.id) continue;
+
+        const countries = Array.isArray(zone?.countries) ? zone.countries : [];
+        zones.push({
+          id: zone.id,
+          name: zone.name || "Zone",
+          countries: countries
+            .map((c) => ({
+              name: c?.code?.restOfWorld
+                ? c?.name || "Rest of world"
+                : c?.name || (c?.code?.countryCode ?? "Country"),
+              // Same convention as the internal sync: keep rest-of-world selectable
+              code: c?.code?.restOfWorld ? "REST_OF_WORLD" : c?.code?.countryCode ?? null,
+              provinces: (Array.isArray(c?.provinces) ? c.provinces : [])
+                .map((p) => ({
+                  code: p?.code ?? null,
+                  name: p?.name ?? p?.code ?? "Province",
+                }))
+                .filter((p) => p.code),
+            }))
+            .filter((c) => c.code),
+        });
+      }
+    }
+  }
+
+  // Dedup by zone id
+  const seen = new Set();
+  const zonesDeduped = zones.filter((z) => {
+    if (seen.has(z.id)) return false;
+    seen.add(z.id);
+    return true;
+  });
+
+  return {
+    version: 1,
+    pulledAt: new Date().toISOString(),
+    zones: zonesDeduped,
+  };
+}
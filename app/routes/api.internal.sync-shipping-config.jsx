@@ -1,5 +1,12 @@
 import prisma from "../db.server";
 import { sessionStorage } from "../shopify.server";
+import { syncProductIndexForShop } from "../lib/productIndexSync.server";
+import {
+  hasVolumeEligibilityRules,
+  parseVolumeEligibilityRules,
+  syncVolumeEligibilityForShop,
+} from "../lib/volumeEligibilitySync.server";
+import { refreshRateTable } from "../lib/rateTable.server";
 
 async function adminGraphql(session, query, variables) {
   const apiVersion = "2025-10"; // matches ApiVersion.October25 used in shopify.server.js
@@ -162,6 +169,11 @@ async function fetchServicesSnapshot(session) {
     };
 }
 
+async function fetchShopTimezone(session) {
+  const res = await adminGraphql(session, `query ShopTimezone { shop { ianaTimezone } }`);
+  return res?.data?.shop?.ianaTimezone || null;
+}
+
 async function maybeEmitFlowZonesSyncFailed({ session, error }) {
   const triggerId = process.env.FLOW_ZONES_SYNC_FAILED_TRIGGER_ID;
   if (!triggerId) return;
@@ -205,6 +217,8 @@ export async function action({ request }) {
 
       const zonesSnapshot = await fetchZonesSnapshot(session);
       const servicesSnapshot = await fetchServicesSnapshot(session);
+      // Delivery calendars without their own timezone use the shop's
+      const shopTimezone = await fetchShopTimezone(session);
 
       await prisma.shopSettings.upsert({
         where: { shop },
@@ -212,6 +226,7 @@ export async function action({ request }) {
           shop,
           zonesSnapshotJson: JSON.stringify(zonesSnapshot),
           servicesSnapshotJson: JSON.stringify(servicesSnapshot),
+          shopTimezone,
           managedZoneIdsJson: "[]",
           lastSyncedAt: new Date(),
           lastSyncError: null,
@@ -219,12 +234,40 @@ export async function action({ request }) {
         update: {
           zonesSnapshotJson: JSON.stringify(zonesSnapshot),
           servicesSnapshotJson: JSON.stringify(servicesSnapshot),
+          shopTimezone,
           lastSyncedAt: new Date(),
           lastSyncError: null,
         },
       });
 
-      results.push({ shop, ok: true });
+      // Selector product index: failures are recorded on productIndexLastSyncError
+      // and must not fail the zones/services sync above.
+      let productIndexError = null;
+      try {
+        await syncProductIndexForShop({
+          shop,
+          adminGraphql: (query, variables) => adminGraphql(session, query, variables),
+        });
+      } catch (e) {
+        productIndexError = e instanceof Error ? e.message : String(e);
+      }
+
+      // Same for volume eligibility; shops without eligibility rules keep their snapshot
+      let volumeEligibilityError = null;
+      const settings = await prisma.shopSettings.findUnique({ where: { shop } });
+      if (hasVolumeEligibilityRules(parseVolumeEligibilityRules(settings))) {
+        try {
+          await syncVolumeEligibilityForShop({
+            shop,
+            adminGraphql: (query, variables) => adminGraphql(session, query, variables),
+          });
+        } catch (e) {
+          volumeEligibilityError = e instanceof Error ? e.message : String(e);
+        }
+      }
+      await refreshRateTable(shop);
+
+      results.push({ shop, ok: true, productIndexError, volumeEligibilityError });
     } catch (err) {
       const message =
         err instanceof Error ? err.message : `Unknown error: ${String(err)}`;
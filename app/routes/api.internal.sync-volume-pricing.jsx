@@ -1,4 +1,15 @@
 import prisma from "../db.server";
+import { refreshRateTable } from "../lib/rateTable.server";
+import { parseVolumePricingSettings } from "../lib/volumePricingProvider.server";
+import {
+  fetchDiscountItems,
+  translateVolumeDiscounts,
+} from "../lib/volumeDiscountTranslation.server";
+import {
+  normalizeVolumeEligibilityRules,
+  parseVolumeEligibilityRules,
+  syncVolumeEligibilityForShop,
+} from "../lib/volumeEligibilitySync.server";
 
 // POST /api/internal/sync-volume-pricing?shop=...
 // Header: x-internal-secret: <INTERNAL_SYNC_SECRET>
@@ -75,7 +86,14 @@ export async function action({ request }) {
                   value {
                     __typename
                     ... on DiscountPercentage { percentage }
-                    ... on DiscountAmount { amount { amount currencyCode } }
+                    ... on DiscountAmount { amount { amount currencyCode } appliesOnEachItem }
+                  }
+                }
+                minimumRequirement {
+                  __typename
+                  ... on DiscountMinimumQuantity { greaterThanOrEqualToQuantity }
+                  ... on DiscountMinimumSubtotal {
+                    greaterThanOrEqualToSubtotal { amount currencyCode }
                   }
                 }
               }
@@ -103,10 +121,50 @@ export async function action({ request }) {
 
     const nodes = json?.data?.discountNodes?.nodes || [];
     const matches = nodes
-      .map((n) => n?.discount)
-      .filter(Boolean)
+      .filter((n) => n?.discount)
+      .map((n) => ({ ...n.discount, nodeId: n.id }))
       .filter((d) => String(d.title || "").toLowerCase().includes(labelLower));
 
+    // Products/collections each basic discount applies to (fetched per discount)
+    const translatable = [];
+    for (const d of matches) {
+      const items =
+        d.__typename === "DiscountAutomaticBasic" && d.status === "ACTIVE"
+          ? await fetchDiscountItems(adminGraphql, d.nodeId)
+          : null;
+      translatable.push({
+        id: d.nodeId,
+        type: d.__typename,
+        title: d.title,
+        status: d.status,
+        minimumRequirement: d.minimumRequirement,
+        customerGets: d.customerGets,
+        items,
+      });
+    }
+    const translation = translateVolumeDiscounts(translatable);
+
+    // Converted groups replace the groups with the same id; merchant-built groups are kept,
+    // discount groups no longer in Shopify are dropped. Nothing converted = leave all as is.
+    const replaceGroups = translation.groups.length > 0;
+    const previousGroups = parseVolumePricingSettings(settings).config?.groups ?? [];
+    const convertedIds = new Set(translation.groups.map((g) => g.id));
+    const fromDiscount = (g) => g.id.startsWith("discount-");
+    // Shown on Settings: imported groups whose stored tiers (maybe edited there) changed
+    const replaced = replaceGroups
+      ? previousGroups
+          .filter((g) => fromDiscount(g) || convertedIds.has(g.id))
+          .filter((g) => {
+            const next = translation.groups.find((t) => t.id === g.id);
+            return !next || JSON.stringify(next.tiers) !== JSON.stringify(g.tiers);
+          })
+          .map((g) => ({
+            id: g.id,
+            name: g.name,
+            removed: !convertedIds.has(g.id),
+          }))
+      : [];
+
     const snapshot = {
       version: 1,
       pulledAt: new Date().toISOString(),
@@ -124,22 +182,70 @@ export async function action({ request }) {
             ? "App-managed automatic discount; rule details may not be readable enough to apply in /api/rates until we confirm structure."
             : undefined,
       })),
+      translation: {
+        converted: translation.converted,
+        warnings: translation.warnings,
+        replaced,
+      },
     };
 
-    await prisma.shopSettings.update({
-      where: { shop },
-      data: {
-        volumePricingSnapshotJson: JSON.stringify(snapshot),
-        volumePricingSnapshotVersion: 1,
-        volumePricingLastSyncedAt: new Date(),
-        volumePricingLastSyncError: null,
-      },
-    });
+    // Converted groups' included eligibility rules are replaced; merchant exclusions (and
+    // all rules of groups whose products the discount doesn't list) are kept by group id.
+    // Kept merchant-built groups keep their rules.
+    const data = {
+      volumePricingSnapshotJson: JSON.stringify(snapshot),
+      volumePricingSnapshotVersion: 1,
+      volumePricingLastSyncedAt: new Date(),
+      volumePricingLastSyncError: null,
+    };
+    if (replaceGroups) {
+      const keptGroups = previousGroups.filter((g) => !fromDiscount(g) && !convertedIds.has(g.id));
+      // Replaced groups keep their place in the list; new ones go last
+      const previousIds = new Set(previousGroups.map((g) => g.id));
+      const groups = [
+        ...previousGroups
+          .map((g) => translation.groups.find((t) => t.id === g.id) ?? g)
+          .filter((g) => convertedIds.has(g.id) || keptGroups.includes(g)),
+        ...translation.groups.filter((g) => !previousIds.has(g.id)),
+      ];
+      const previous = parseVolumeEligibilityRules(settings).groups;
+      const rulesByGroup = {};
+      for (const group of keptGroups) rulesByGroup[group.id] = previous[group.id] || [];
+      for (const group of translation.groups) {
+        const kept = previous[group.id] || [];
+        rulesByGroup[group.id] = translation.openGroupIds.includes(group.id)
+          ? kept
+          : [...translation.rulesByGroup[group.id], ...kept.filter((r) => r.mode === "EXCLUDE")];
+      }
+      data.volumePricingConfigJson = JSON.stringify({ version: 3, groups });
+      data.volumeEligibilityRulesJson = JSON.stringify(
+        normalizeVolumeEligibilityRules({ version: 2, groups: rulesByGroup })
+      );
+    }
 
-    return new Response(JSON.stringify({ ok: true, shop, matched: snapshot.discounts.length }), {
-      status: 200,
-      headers: { "Content-Type": "application/json" },
-    });
+    await prisma.shopSettings.update({ where: { shop }, data });
+
+    // Eligibility failures are recorded on volumeEligibilityLastSyncError
+    let eligibilityError = null;
+    if (replaceGroups) {
+      try {
+        await syncVolumeEligibilityForShop({ shop, adminGraphql });
+      } catch (e) {
+        eligibilityError = e instanceof Error ? e.message : String(e);
+      }
+    }
+    await refreshRateTable(shop);
+
+    return new Response(
+      JSON.stringify({
+        ok: true,
+        shop,
+        matched: snapshot.discounts.length,
+        converted: translation.converted.length,
+        eligibilityError,
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
   } catch (err) {
     const message = err instanceof Error ? err.message : String(err);
     await prisma.shopSettings.update({
@@ -0,0 +1,60 @@
+// app/routes/api.storefront.free-shipping.jsx
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+
+/**
+ * Storefront read endpoint for free-shipping thresholds, served through the app proxy
+ * (app proxy URL = <app>/api/storefront, so themes call /apps/<subpath>/free-shipping).
+ *
+ * GET ?subtotal_cents=4500 (optional) adds gapCents per chart. Thresholds are measured
+ * against the volume-adjusted merchandise subtotal at checkout, so a storefront subtotal
+ * is only an estimate when volume pricing applies.
+ */
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "public, max-age=60",
+    },
+  });
+}
+
+export async function loader({ request }) {
+  const { session } = await authenticate.public.appProxy(request);
+  if (!session?.shop) return json({ ok: false, error: "Unknown shop" }, 401);
+
+  const url = new URL(request.url);
+  const subtotalRaw = url.searchParams.get("subtotal_cents");
+  const subtotalCents =
+    subtotalRaw != null && Number.isFinite(Number(subtotalRaw)) ? Number(subtotalRaw) : null;
+
+  const charts = await prisma.shippingChart.findMany({
+    where: { shop: session.shop, isActive: true, freeShippingThresholdCents: { not: null } },
+    select: { id: true, name: true, freeShippingThresholdCents: true },
+    orderBy: { priority: "desc" },
+  });
+
+  const thresholds = charts.map((c) => ({
+    chartId: c.id,
+    chartName: c.name,
+    thresholdCents: c.freeShippingThresholdCents,
+    ...(subtotalCents == null
+      ? {}
+      : { gapCents: Math.max(0, c.freeShippingThresholdCents - subtotalCents) }),
+  }));
+
+  const lowest = thresholds.length
+    ? Math.min(...thresholds.map((t) => t.thresholdCents))
+    : null;
+
+  return json({
+    ok: true,
+    lowestThresholdCents: lowest,
+    ...(subtotalCents == null || lowest == null
+      ? {}
+      : { lowestGapCents: Math.max(0, lowest - subtotalCents) }),
+    thresholds,
+  });
+}
@@ -6,88 +6,15 @@ import { NavMenu } from "@shopify/app-bridge-react";
 import { Frame } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { syncZonesSnapshot } from "../lib/zonesSnapshot.server";
+import { refreshRateTable } from "../lib/rateTable.server";
 
-
-async function syncZonesSnapshot(admin) {
-  const zonesQuery = `#graphql
-    query DeliveryZonesOnly {
-      deliveryProfiles(first: 25) {
-        edges {
-          node {
-            profileLocationGroups {
-              locationGroupZones(first: 150) {
-                edges {
-                  node {
-                    zone {
-                      id
-                      name
-                      countries {
-                        name
-                        code { countryCode restOfWorld }
-                        provinces { name code }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-  `;
-
-  const zonesRes = await admin.graphql(zonesQuery);
-  const zonesJson = await zonesRes.json();
-
-  if (zonesJson?.errors?.length) {
-    throw new Error(zonesJson.errors.map((e) => e.message).join("; "));
-  }
-
-  const zones = [];
-  const dpEdges = zonesJson?.data?.deliveryProfiles?.edges || [];
-  for (const dpEdge of dpEdges) {
-    const plgs = dpEdge?.node?.profileLocationGroups || [];
-    for (const plg of plgs) {
-      const lgzEdges = plg?.locationGroupZones?.edges || [];
-      for (const lgzEdge of lgzEdges) {
-        const zone = lgzEdge?.node?.zone;
-        if (!zone?.id) continue;
-
-        const countries = Array.isArray(zone?.countries) ? zone.countries : [];
-        zones.push({
-          id: zone.id,
-          name: zone.name || "Zone",
-          countries: countries
-            .map((c) => ({
-              name: c?.name || (c?.code?.countryCode ?? "Country"),
-              code: c?.code?.countryCode ?? null,
-              provinces: (Array.isArray(c?.provinces) ? c.provinces : [])
-                .map((p) => ({
-                  code: p?.code ?? null,
-                  name: p?.name ?? p?.code ?? "Province",
-                }))
-                .filter((p) => p.code),
-            }))
-            .filter((c) => c.code),
-        });
-      }
-    }
+function hasZonesSnapshot(zonesSnapshotJson) {
+  try {
+    return Boolean(JSON.parse(zonesSnapshotJson || "{}")?.pulledAt);
+  } catch {
+    return false;
   }
-
-  // Dedup by zone id
-  const seen = new Set();
-  const zonesDeduped = zones.filter((z) => {
-    if (seen.has(z.id)) return false;
-    seen.add(z.id);
-    return true;
-  });
-
-  return {
-    version: 1,
-    pulledAt: new Date().toISOString(),
-    zones: zonesDeduped,
-  };
 }
 
 function base64HostFromShop(shop) {
@@ -121,7 +48,8 @@ const settings = await prisma.shopSettings.upsert({
 });
 
 // If we have never synced zones, do it immediately (first load after install)
-if (!settings?.zonesSnapshotJson) {
+// (column defaults to "{}", so check for an actual snapshot)
+if (!hasZonesSnapshot(settings?.zonesSnapshotJson)) {
   try {
     const zonesSnapshot = await syncZonesSnapshot(admin);
 
@@ -133,6 +61,7 @@ if (!settings?.zonesSnapshotJson) {
         lastSyncError: null,
       },
     });
+    await refreshRateTable(shop);
   } catch (e) {
     const msg = e instanceof Error ? e.message : String(e);
     await prisma.shopSettings.update({
@@ -158,6 +87,8 @@ export default function App() {
       {/* Dealeasy-style submenu under the app name in Shopify Admin */}
       <NavMenu>
         <a href={`/app/tiers${search}`}>Shipping Charts</a>
+        <a href={`/app/simulator${search}`}>Rate simulator</a>
+        <a href={`/app/quotes${search}`}>Quote log</a>
         <a href={`/app/settings${search}`}>Settings</a>
       </NavMenu>
 
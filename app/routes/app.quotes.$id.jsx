@@ -0,0 +1,280 @@
+import { useLoaderData, useLocation } from "react-router";
+import {
+  Page,
+  Card,
+  Text,
+  Badge,
+  Banner,
+  InlineStack,
+  BlockStack,
+  Box,
+  Divider,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getRateQuote } from "../lib/rateQuoteLog.server";
+import { describeVolumeTier } from "../lib/volumePricingTiers";
+
+/**
+ * Loader: one logged quote with its full evaluation trace
+ */
+export async function loader({ request, params }) {
+  const { session } = await authenticate.admin(request);
+  const quote = await getRateQuote(session.shop, String(params.id || ""));
+  if (!quote) throw new Response("Quote not found", { status: 404 });
+  return { quote };
+}
+
+function money(cents) {
+  return `$${(Number(cents || 0) / 100).toFixed(2)}`;
+}
+
+const CHART_OUTCOME_TONES = { QUOTED: "success", NO_TIER: "warning", SKIPPED: undefined };
+
+function Row({ label, children }) {
+  return (
+    <InlineStack gap="200" wrap={false}>
+      <Box minWidth="180px">
+        <Text as="span" variant="bodySm" tone="subdued">
+          {label}
+        </Text>
+      </Box>
+      <Text as="span" variant="bodySm">
+        {children}
+      </Text>
+    </InlineStack>
+  );
+}
+
+// One explanation per volume pricing group (quotes logged before groups show the one tier)
+function volumeSummary(volume) {
+  if (Array.isArray(volume?.groups)) {
+    const active = volume.groups.filter((g) => g.eligibleQty > 0);
+    return active.length ? active.map((g) => g.explanation).join("; ") : "No eligible items";
+  }
+  if (volume?.appliedTier) {
+    return [
+      `${volume.appliedTier.minEligibleQty}+ tier (${describeVolumeTier(volume.appliedTier)})`,
+      `${volume.eligibleQty} eligible`,
+      `${money(volume.discountCentsTotal)} off`,
+    ].join(", ");
+  }
+  return volume?.error || "No tier applied";
+}
+
+function PlanTrace({ plan }) {
+  if (plan.priceCents == null) {
+    return (
+      <Text as="p" variant="bodySm" tone="subdued">
+        {plan.serviceCode ? `${plan.serviceCode}: ` : ""}no rate ({plan.reason}
+        {plan.matchedTier ? `, tier ${plan.matchedTier}` : ""})
+      </Text>
+    );
+  }
+
+  const pricing = plan.pricing
+    ? plan.pricing.priceType === "PERCENT_OF_BASIS"
+      ? `${(Number(plan.pricing.percentBps || 0) / 100).toFixed(2)}% of basis`
+      : `flat ${money(plan.pricing.flatPriceCents)}`
+    : "—";
+
+  return (
+    <BlockStack gap="050">
+      <Text as="p" variant="bodySm" fontWeight="semibold">
+        {plan.serviceCode ? `${plan.serviceCode}: ` : ""}
+        {plan.tierName} → {money(plan.priceCents)}
+      </Text>
+      <Text as="p" variant="bodySm" tone="subdued">
+        {plan.freeByThreshold
+          ? "Free-shipping threshold reached"
+          : [
+              `Rate: ${pricing}`,
+              plan.usedFallback ? "chart fallback" : null,
+              plan.serviceAdjusted ? "service adjustment applied" : null,
+              plan.handlingFeeCents ? `+ ${money(plan.handlingFeeCents)} handling` : null,
+              `= ${money(plan.uncappedCents)}`,
+              plan.capped ? `capped at ${money(plan.capCents)}` : null,
+            ]
+              .filter(Boolean)
+              .join(" • ")}
+      </Text>
+      {plan.deliveryWindow ? (
+        <Text as="p" variant="bodySm" tone="subdued">
+          Delivery: {plan.deliveryWindow.minDate}
+          {plan.deliveryWindow.maxDate !== plan.deliveryWindow.minDate
+            ? ` – ${plan.deliveryWindow.maxDate}`
+            : ""}
+        </Text>
+      ) : null}
+    </BlockStack>
+  );
+}
+
+export default function QuoteDetailPage() {
+  const { quote } = useLoaderData();
+  const location = useLocation();
+  const { trace } = quote;
+
+  const destination =
+    [quote.destCountry, quote.destProvince, quote.destPostal].filter(Boolean).join(" / ") ||
+    "—";
+
+  return (
+    <Page
+      title={`Quote ${new Date(quote.createdAt).toLocaleString()}`}
+      subtitle={destination}
+      backAction={{ content: "Quote log", url: `/app/quotes${location.search || ""}` }}
+    >
+      <BlockStack gap="400">
+        {trace.error ? (
+          <Banner tone="critical" title="Quoting failed">
+            <p>{trace.error}</p>
+          </Banner>
+        ) : null}
+
+        {quote.warnings.length ? (
+          <Banner tone="warning" title="Warnings">
+            <ul>
+              {quote.warnings.map((w, i) => (
+                <li key={i}>{w}</li>
+              ))}
+            </ul>
+          </Banner>
+        ) : null}
+
+        <Card>
+          <BlockStack gap="200">
+            <Text as="h2" variant="headingMd">
+              Summary
+            </Text>
+            <Row label="Outcome">
+              <Badge>{quote.outcome}</Badge>
+            </Row>
+            <Row label="Merchandise (payload)">{money(quote.merchCents)}</Row>
+            <Row label="Basis after volume pricing">{money(quote.basisCents)}</Row>
+            {trace.totalGrams ? <Row label="Total weight">{`${trace.totalGrams} g`}</Row> : null}
+            <Row label="Managed zone">
+              {trace.zoneGate
+                ? trace.zoneGate.gated
+                  ? trace.zoneGate.managed
+                    ? `Yes (${trace.zoneGate.zoneId || "country/province"})`
+                    : "No: not a managed destination"
+                  : "Not gated (all destinations)"
+                : "—"}
+            </Row>
+            <Row label="Volume pricing">{volumeSummary(trace.volume)}</Row>
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="200">
+            <Text as="h2" variant="headingMd">
+              Rates returned
+            </Text>
+            {quote.rates.length ? (
+              quote.rates.map((r, i) => (
+                <Text as="p" variant="bodySm" key={i}>
+                  {r.service_name} ({r.service_code}) — {money(r.total_price)}
+                  {r.description ? ` • ${r.description}` : ""}
+                </Text>
+              ))
+            ) : (
+              <Text as="p" variant="bodySm" tone="subdued">
+                No rates (Shopify shows its own rates, if any).
+              </Text>
+            )}
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Charts considered
+            </Text>
+            {(trace.charts || []).length === 0 ? (
+              <Text as="p" variant="bodySm" tone="subdued">
+                No charts were evaluated.
+              </Text>
+            ) : (
+              trace.charts.map((c, i) => (
+                <BlockStack gap="100" key={c.chartId || i}>
+                  {i > 0 ? <Divider /> : null}
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text as="h3" variant="headingSm">
+                      {c.chartName}
+                    </Text>
+                    <Badge tone={CHART_OUTCOME_TONES[c.outcome]}>{c.outcome}</Badge>
+                    {c.region ? <Badge>{`Region: ${c.region.name}`}</Badge> : null}
+                  </InlineStack>
+                  {c.reasons.map((reason, j) => (
+                    <Text as="p" variant="bodySm" tone="subdued" key={j}>
+                      {reason}
+                    </Text>
+                  ))}
+                  {c.rangeValue != null ? (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      Tier lookup value:{" "}
+                      {c.basisType === "WEIGHT" ? `${c.rangeValue} g` : money(c.rangeValue)}
+                    </Text>
+                  ) : null}
+                  {c.plans.map((plan, j) => (
+                    <PlanTrace plan={plan} key={j} />
+                  ))}
+                </BlockStack>
+              ))
+            )}
+            {trace.combination?.dropped?.length ? (
+              <Text as="p" variant="bodySm">
+                Combination ({trace.combination.strategy}) dropped:{" "}
+                {trace.combination.dropped
+                  .map((d) => `${d.chartName} ${money(d.priceCents)}`)
+                  .join(", ")}
+              </Text>
+            ) : null}
+            {trace.shopFallback ? (
+              <Text as="p" variant="bodySm">
+                Shop fallback rate {money(trace.shopFallback.priceCents)} (
+                {trace.shopFallback.reason})
+              </Text>
+            ) : null}
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="200">
+            <Text as="h2" variant="headingMd">
+              Items ({quote.itemCount})
+            </Text>
+            {quote.items.map((item, i) => (
+              <Text as="p" variant="bodySm" key={i}>
+                {item.quantity} × {item.name || item.sku || `product ${item.productId}`} @{" "}
+                {money(item.priceCents)}
+                {item.grams ? ` • ${item.grams} g` : ""}
+              </Text>
+            ))}
+            {quote.items.length < quote.itemCount ? (
+              <Text as="p" variant="bodySm" tone="subdued">
+                Only the first {quote.items.length} items are kept in the log.
+              </Text>
+            ) : null}
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="200">
+            <Text as="h2" variant="headingMd">
+              Raw trace
+            </Text>
+            <Box
+              padding="200"
+              background="bg-surface-secondary"
+              borderRadius="200"
+              overflowX="scroll"
+            >
+              <pre style={{ margin: 0, fontSize: 12 }}>{JSON.stringify(trace, null, 2)}</pre>
+            </Box>
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
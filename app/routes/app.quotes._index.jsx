@@ -0,0 +1,241 @@
+import { useState } from "react";
+import { useLoaderData, useNavigate, useLocation } from "react-router";
+import {
+  Page,
+  Card,
+  IndexTable,
+  Text,
+  Badge,
+  Button,
+  InlineStack,
+  BlockStack,
+  Box,
+  TextField,
+  Pagination,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  QUOTE_LOG_RETENTION_DAYS,
+  parseQuoteLogFilters,
+  searchRateQuotes,
+} from "../lib/rateQuoteLog.server";
+
+const FILTER_KEYS = ["from", "to", "country", "province", "postal", "minPrice", "maxPrice"];
+
+/**
+ * Loader: search the /api/rates quote log (filters come from the URL)
+ */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+
+  const filters = parseQuoteLogFilters(new URL(request.url).searchParams);
+  const result = await searchRateQuotes(shop, filters);
+
+  return { filters, retentionDays: QUOTE_LOG_RETENTION_DAYS, ...result };
+}
+
+function money(cents) {
+  return `$${(Number(cents || 0) / 100).toFixed(2)}`;
+}
+
+function priceRange(q) {
+  if (q.minPriceCents == null) return "—";
+  if (q.minPriceCents === q.maxPriceCents) return money(q.minPriceCents);
+  return `${money(q.minPriceCents)}–${money(q.maxPriceCents)}`;
+}
+
+function destinationLabel(q) {
+  return [q.destCountry, q.destProvince, q.destPostal].filter(Boolean).join(" / ") || "—";
+}
+
+const OUTCOME_TONES = {
+  RATES: "success",
+  NO_RATES: "warning",
+  UNMANAGED: undefined,
+  LAST_KNOWN_GOOD: "attention",
+  ERROR: "critical",
+};
+
+export default function QuoteLogPage() {
+  const { filters, quotes, total, pageCount, retentionDays } = useLoaderData();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(FILTER_KEYS.map((k) => [k, filters[k] || ""]))
+  );
+  const setField = (key) => (value) => setDraft((d) => ({ ...d, [key]: value }));
+
+  // Keep embedded params (host, shop, ...) and replace only the filters
+  const goWith = (nextFilters, page = 1) => {
+    const params = new URLSearchParams(
+      location.search || (typeof window !== "undefined" ? window.location.search : "")
+    );
+    for (const k of FILTER_KEYS) {
+      const v = String(nextFilters[k] || "").trim();
+      if (v) params.set(k, v);
+      else params.delete(k);
+    }
+    if (page > 1) params.set("page", String(page));
+    else params.delete("page");
+    navigate(`/app/quotes?${params.toString()}`);
+  };
+
+  const embeddedSearch = () => {
+    const params = new URLSearchParams(location.search || "");
+    for (const k of [...FILTER_KEYS, "page"]) params.delete(k);
+    const s = params.toString();
+    return s ? `?${s}` : "";
+  };
+
+  const clear = () => {
+    const empty = Object.fromEntries(FILTER_KEYS.map((k) => [k, ""]));
+    setDraft(empty);
+    goWith(empty);
+  };
+
+  const rowMarkup = quotes.map((q, index) => (
+    <IndexTable.Row
+      id={q.id}
+      key={q.id}
+      position={index}
+      onClick={() => navigate(`/app/quotes/${q.id}${embeddedSearch()}`)}
+    >
+      <IndexTable.Cell>
+        <Text as="span" variant="bodySm">
+          {new Date(q.createdAt).toLocaleString()}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{destinationLabel(q)}</IndexTable.Cell>
+      <IndexTable.Cell>{q.itemCount}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {q.basisCents === q.merchCents
+          ? money(q.merchCents)
+          : `${money(q.merchCents)} → ${money(q.basisCents)}`}
+      </IndexTable.Cell>
+      <IndexTable.Cell>{priceRange(q)}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={OUTCOME_TONES[q.outcome]}>{q.outcome}</Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {q.warningCount ? <Badge tone="warning">{String(q.warningCount)}</Badge> : ""}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page
+      title="Quote log"
+      subtitle={`Every checkout rate request, kept for ${retentionDays} days`}
+    >
+      <BlockStack gap="400">
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack gap="300" wrap>
+              <TextField
+                label="From"
+                type="date"
+                value={draft.from}
+                onChange={setField("from")}
+                autoComplete="off"
+              />
+              <TextField
+                label="To"
+                type="date"
+                value={draft.to}
+                onChange={setField("to")}
+                autoComplete="off"
+              />
+              <TextField
+                label="Country"
+                value={draft.country}
+                onChange={setField("country")}
+                placeholder="US"
+                autoComplete="off"
+              />
+              <TextField
+                label="Province"
+                value={draft.province}
+                onChange={setField("province")}
+                placeholder="CA or US-CA"
+                autoComplete="off"
+              />
+              <TextField
+                label="Postal code starts with"
+                value={draft.postal}
+                onChange={setField("postal")}
+                autoComplete="off"
+              />
+              <TextField
+                label="Rate from"
+                type="number"
+                prefix="$"
+                value={draft.minPrice}
+                onChange={setField("minPrice")}
+                autoComplete="off"
+              />
+              <TextField
+                label="Rate to"
+                type="number"
+                prefix="$"
+                value={draft.maxPrice}
+                onChange={setField("maxPrice")}
+                autoComplete="off"
+              />
+            </InlineStack>
+            <InlineStack gap="200">
+              <Button variant="primary" onClick={() => goWith(draft)}>
+                Search
+              </Button>
+              <Button onClick={clear}>Clear</Button>
+            </InlineStack>
+            <Text as="p" variant="bodySm" tone="subdued">
+              Dates are UTC days. The rate range matches quotes where any returned rate falls
+              inside it.
+            </Text>
+          </BlockStack>
+        </Card>
+
+        <Card padding="0">
+          {quotes.length === 0 ? (
+            <Box padding="400">
+              <Text as="p" variant="bodyMd" tone="subdued">
+                No quotes match these filters.
+              </Text>
+            </Box>
+          ) : (
+            <IndexTable
+              resourceName={{ singular: "quote", plural: "quotes" }}
+              itemCount={quotes.length}
+              selectable={false}
+              headings={[
+                { title: "Time" },
+                { title: "Destination" },
+                { title: "Items" },
+                { title: "Basis (merch → after volume)" },
+                { title: "Rates" },
+                { title: "Outcome" },
+                { title: "Warnings" },
+              ]}
+            >
+              {rowMarkup}
+            </IndexTable>
+          )}
+        </Card>
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text as="p" variant="bodySm" tone="subdued">
+            {total} quote{total === 1 ? "" : "s"} • page {filters.page} of {pageCount}
+          </Text>
+          <Pagination
+            hasPrevious={filters.page > 1}
+            onPrevious={() => goWith(filters, filters.page - 1)}
+            hasNext={filters.page < pageCount}
+            onNext={() => goWith(filters, filters.page + 1)}
+          />
+        </InlineStack>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -1,4 +1,4 @@
-import { useMemo, useState, useCallback } from "react";
+import { useEffect, useMemo, useState, useCallback } from "react";
 import {
   Page,
   Card,
@@ -12,6 +12,8 @@ import {
   Box,
   Link,
   Modal,
+  Checkbox,
+  Select,
 } from "@shopify/polaris";
 import {
   useLoaderData,
@@ -21,6 +23,41 @@ import {
 } from "react-router";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { syncProductIndexForShop } from "../lib/productIndexSync.server";
+import { syncZonesSnapshot } from "../lib/zonesSnapshot.server";
+import { normalizeManagedZoneConfig } from "../lib/managedZones.server";
+import { ManagedZonesPicker } from "../components/ManagedZonesPicker";
+import { VolumePricingGroupEditor } from "../components/VolumePricingGroupEditor";
+import {
+  isValidTimeZone,
+  normalizeDeliveryCalendar,
+} from "../lib/deliveryDates.server";
+import { normalizeRateDebug } from "../lib/rateDescriptions.server";
+import { normalizeShopFallback } from "../lib/rateFallbacks.server";
+import { refreshRateTable } from "../lib/rateTable.server";
+import { RATE_COMBINATION_STRATEGIES } from "../lib/rateEngine.server";
+import { parseVolumePricingSettings } from "../lib/volumePricingProvider.server";
+import {
+  DEFAULT_VOLUME_GROUP_ID,
+  describeVolumeTier,
+  normalizeVolumeGroups,
+  validateVolumeGroups,
+  volumeTiersToRows,
+} from "../lib/volumePricingTiers";
+import {
+  normalizeVolumeEligibilityRules,
+  parseVolumeEligibilityRules,
+  syncVolumeEligibilityForShop,
+} from "../lib/volumeEligibilitySync.server";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const COMBINATION_OPTIONS = [
+  { label: "Every matching chart", value: "ALL" },
+  { label: "Highest-priority matching chart only", value: "HIGHEST_PRIORITY" },
+  { label: "Cheapest rate only", value: "CHEAPEST" },
+  { label: "Cheapest rate per service code", value: "CHEAPEST_PER_SERVICE" },
+];
 
 function safeJsonParse(str, fallback) {
   try {
@@ -31,13 +68,99 @@ function safeJsonParse(str, fallback) {
   }
 }
 
+// Don't ship the full product map to the browser
+function summarizeProductIndex(snapshot) {
+  if (!snapshot || snapshot.version !== 1) return null;
+  return {
+    pulledAt: snapshot.pulledAt || null,
+    productCount: Number(snapshot.productCount || 0),
+    tags: Array.isArray(snapshot.tags) ? snapshot.tags : [],
+    collectionIds: Array.isArray(snapshot.collectionIds) ? snapshot.collectionIds : [],
+    warnings: Array.isArray(snapshot.warnings) ? snapshot.warnings : [],
+  };
+}
+
+// Don't ship the eligible product ID list to the browser either
+function summarizeVolumeEligibility(snapshot) {
+  if (!snapshot || !snapshot.pulledAt) return null;
+  const groupSummary = (g) => ({
+    productCount: Number(g?.productCount || 0),
+    warnings: Array.isArray(g?.warnings) ? g.warnings : [],
+  });
+
+  const groups = {};
+  if (snapshot.version === 2 && snapshot.groups && typeof snapshot.groups === "object") {
+    for (const [id, g] of Object.entries(snapshot.groups)) groups[id] = groupSummary(g);
+  } else if (snapshot.version === 1) {
+    groups[DEFAULT_VOLUME_GROUP_ID] = groupSummary(snapshot);
+  } else {
+    return null;
+  }
+  return {
+    pulledAt: snapshot.pulledAt,
+    productCount: Number(snapshot.productCount || 0),
+    groups,
+  };
+}
+
+// Saved config + eligibility rules -> [{ id, name, scope, tiers, rules }] for the editor
+function volumeGroupsForEditor(config, rulesDoc) {
+  const groups = normalizeVolumeGroups(config);
+  // Eligibility rules saved before any tiers still belong to the default group
+  if (!groups.length && rulesDoc.groups[DEFAULT_VOLUME_GROUP_ID]?.length) {
+    groups.push({ id: DEFAULT_VOLUME_GROUP_ID, name: "Volume pricing", scope: "GROUP", tiers: [] });
+  }
+  return groups.map((g) => ({ ...g, rules: rulesDoc.groups[g.id] || [] }));
+}
+
+function adminGraphqlFor(admin) {
+  return async (query, variables) => {
+    const res = await admin.graphql(query, { variables });
+    const json = await res.json();
+    if (json?.errors?.length) {
+      throw new Error(`Admin GraphQL errors: ${JSON.stringify(json.errors)}`);
+    }
+    return json;
+  };
+}
+
+// Delivery calendars without their own timezone use the shop's; the internal sync keeps it
+// current, this fills it in for shops that haven't been synced yet
+async function ensureShopTimezone(admin, settings) {
+  if (settings.shopTimezone) return settings;
+  try {
+    const json = await adminGraphqlFor(admin)(`query ShopTimezone { shop { ianaTimezone } }`);
+    const shopTimezone = json?.data?.shop?.ianaTimezone;
+    if (!shopTimezone) return settings;
+    const updated = await prisma.shopSettings.update({
+      where: { shop: settings.shop },
+      data: { shopTimezone },
+    });
+    await refreshRateTable(settings.shop);
+    return updated;
+  } catch (err) {
+    console.error("[settings] shop timezone lookup failed", { error: String(err) });
+    return settings;
+  }
+}
+
 export async function loader({ request }) {
-  const { session } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const shop = session.shop;
 
-  const settings =
+  const settings = await ensureShopTimezone(
+    admin,
     (await prisma.shopSettings.findUnique({ where: { shop } })) ||
-    (await prisma.shopSettings.create({ data: { shop } }));
+      (await prisma.shopSettings.create({ data: { shop } }))
+  );
+
+  const volumePricing = parseVolumePricingSettings(settings);
+
+  const recentFallbacks = await prisma.rateFallbackEvent.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: 20,
+  });
 
   return {
     shop,
@@ -47,11 +170,46 @@ export async function loader({ request }) {
       ? settings.volumePricingLastSyncedAt.toISOString()
       : null,
     volumePricingLastSyncError: settings.volumePricingLastSyncError || null,
+    volumeGroups: volumeGroupsForEditor(
+      volumePricing.config,
+      parseVolumeEligibilityRules(settings)
+    ),
+    volumeEligibility: summarizeVolumeEligibility(
+      safeJsonParse(settings.volumeEligibilitySnapshotJson, null)
+    ),
+    volumeEligibilityLastSyncedAt: settings.volumeEligibilityLastSyncedAt
+      ? settings.volumeEligibilityLastSyncedAt.toISOString()
+      : null,
+    volumeEligibilityLastSyncError: settings.volumeEligibilityLastSyncError || null,
+    productIndex: summarizeProductIndex(
+      safeJsonParse(settings.productIndexSnapshotJson, null)
+    ),
+    productIndexLastSyncedAt: settings.productIndexLastSyncedAt
+      ? settings.productIndexLastSyncedAt.toISOString()
+      : null,
+    productIndexLastSyncError: settings.productIndexLastSyncError || null,
+    zonesSnapshot: safeJsonParse(settings.zonesSnapshotJson, null),
+    managedZoneConfig: safeJsonParse(settings.managedZoneConfigJson, []),
+    zonesLastSyncError: settings.lastSyncError || null,
+    deliveryCalendar: normalizeDeliveryCalendar(
+      safeJsonParse(settings.deliveryCalendarJson, {})
+    ),
+    shopTimezone: settings.shopTimezone || null,
+    rateDebug: normalizeRateDebug(safeJsonParse(settings.rateDebugJson, {})),
+    fallbackRate: normalizeShopFallback(safeJsonParse(settings.fallbackRateJson, {})),
+    rateCombinationStrategy: settings.rateCombinationStrategy || "ALL",
+    recentFallbacks: recentFallbacks.map((e) => ({
+      id: e.id,
+      kind: e.kind,
+      chartId: e.chartId,
+      reason: e.reason,
+      createdAt: e.createdAt.toISOString(),
+    })),
   };
 }
 
 export async function action({ request }) {
-  const { session } = await authenticate.admin(request);
+  const { session, admin } = await authenticate.admin(request);
   const shop = session.shop;
 
   const form = await request.formData();
@@ -67,6 +225,63 @@ export async function action({ request }) {
     return { ok: true };
   }
 
+  if (intent === "save-volume-groups" || intent === "refresh-volume-eligibility") {
+    if (intent === "save-volume-groups") {
+      const posted = safeJsonParse(String(form.get("groups") || "[]"), []);
+      const list = (Array.isArray(posted) ? posted : []).map((g) => ({
+        ...g,
+        id: String(g?.id || "").trim() || crypto.randomUUID(),
+      }));
+      const validation = validateVolumeGroups(list);
+      if (!validation.ok) {
+        return { ok: false, error: "Fix the volume pricing groups before saving." };
+      }
+
+      const config = { version: 3, groups: validation.groups };
+      const rules = normalizeVolumeEligibilityRules({
+        version: 2,
+        groups: Object.fromEntries(list.map((g) => [g.id, Array.isArray(g.rules) ? g.rules : []])),
+      });
+      await prisma.shopSettings.upsert({
+        where: { shop },
+        create: {
+          shop,
+          volumePricingConfigJson: JSON.stringify(config),
+          volumeEligibilityRulesJson: JSON.stringify(rules),
+        },
+        update: {
+          volumePricingConfigJson: JSON.stringify(config),
+          volumeEligibilityRulesJson: JSON.stringify(rules),
+        },
+      });
+    }
+
+    // Eligibility failures are recorded on volumeEligibilityLastSyncError; the saved
+    // groups go live either way
+    let snapshot = null;
+    let eligibilityError = null;
+    try {
+      snapshot = await syncVolumeEligibilityForShop({
+        shop,
+        adminGraphql: adminGraphqlFor(admin),
+      });
+    } catch (err) {
+      eligibilityError = err instanceof Error ? err.message : String(err);
+    }
+    await refreshRateTable(shop);
+
+    if (intent === "refresh-volume-eligibility" && eligibilityError) {
+      return { ok: false, error: eligibilityError };
+    }
+    return {
+      ok: true,
+      saved: intent === "save-volume-groups",
+      refreshed: Boolean(snapshot),
+      productCount: snapshot?.productCount ?? null,
+      eligibilityError,
+    };
+  }
+
   if (intent === "refresh-volume-pricing") {
     const secret = process.env.INTERNAL_SYNC_SECRET;
     if (!secret) return { ok: false, error: "Missing INTERNAL_SYNC_SECRET" };
@@ -82,12 +297,147 @@ export async function action({ request }) {
     const json = await resp.json().catch(() => ({}));
     if (!resp.ok) return { ok: false, error: json?.error || "Refresh failed" };
 
-    return { ok: true, refreshed: true, matched: json?.matched ?? null };
+    return {
+      ok: true,
+      refreshed: true,
+      matched: json?.matched ?? null,
+      converted: json?.converted ?? null,
+    };
+  }
+
+  if (intent === "save-managed-zones") {
+    const config = normalizeManagedZoneConfig(
+      safeJsonParse(String(form.get("managedZoneConfig") || "[]"), [])
+    );
+    const zoneIds = Array.from(new Set(config.map((entry) => entry.zoneId)));
+
+    await prisma.shopSettings.upsert({
+      where: { shop },
+      create: {
+        shop,
+        managedZoneConfigJson: JSON.stringify(config),
+        managedZoneIdsJson: JSON.stringify(zoneIds),
+      },
+      update: {
+        managedZoneConfigJson: JSON.stringify(config),
+        managedZoneIdsJson: JSON.stringify(zoneIds),
+      },
+    });
+    await refreshRateTable(shop);
+    return { ok: true };
+  }
+
+  if (intent === "save-delivery-calendar") {
+    const raw = safeJsonParse(String(form.get("deliveryCalendar") || "{}"), {});
+    if (raw?.timezone && !isValidTimeZone(raw.timezone)) {
+      return { ok: false, error: `Unknown timezone: ${raw.timezone}` };
+    }
+    const calendar = normalizeDeliveryCalendar(raw);
+
+    await prisma.shopSettings.upsert({
+      where: { shop },
+      create: { shop, deliveryCalendarJson: JSON.stringify(calendar) },
+      update: { deliveryCalendarJson: JSON.stringify(calendar) },
+    });
+    await refreshRateTable(shop);
+    return { ok: true };
+  }
+
+  if (intent === "save-rate-debug") {
+    const rateDebug = normalizeRateDebug(
+      safeJsonParse(String(form.get("rateDebug") || "{}"), {})
+    );
+    await prisma.shopSettings.upsert({
+      where: { shop },
+      create: { shop, rateDebugJson: JSON.stringify(rateDebug) },
+      update: { rateDebugJson: JSON.stringify(rateDebug) },
+    });
+    await refreshRateTable(shop);
+    return { ok: true };
+  }
+
+  if (intent === "save-rate-combination") {
+    const strategy = String(form.get("strategy") || "");
+    if (!RATE_COMBINATION_STRATEGIES.includes(strategy)) {
+      return { ok: false, error: "Unknown combination strategy" };
+    }
+    await prisma.shopSettings.upsert({
+      where: { shop },
+      create: { shop, rateCombinationStrategy: strategy },
+      update: { rateCombinationStrategy: strategy },
+    });
+    await refreshRateTable(shop);
+    return { ok: true };
+  }
+
+  if (intent === "save-fallback-rate") {
+    const price = Number(form.get("priceDollars"));
+    const fallback = normalizeShopFallback({
+      enabled: String(form.get("enabled") || "") === "true",
+      name: form.get("name"),
+      priceCents: Number.isFinite(price) ? Math.round(price * 100) : NaN,
+      serviceCode: form.get("serviceCode"),
+    });
+    await prisma.shopSettings.upsert({
+      where: { shop },
+      create: { shop, fallbackRateJson: JSON.stringify(fallback) },
+      update: { fallbackRateJson: JSON.stringify(fallback) },
+    });
+    await refreshRateTable(shop);
+    return { ok: true };
+  }
+
+  if (intent === "resync-zones") {
+    try {
+      const zonesSnapshot = await syncZonesSnapshot(admin);
+      await prisma.shopSettings.update({
+        where: { shop },
+        data: {
+          zonesSnapshotJson: JSON.stringify(zonesSnapshot),
+          lastSyncedAt: new Date(),
+          lastSyncError: null,
+        },
+      });
+      await refreshRateTable(shop);
+      return { ok: true, refreshed: true };
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      await prisma.shopSettings.update({
+        where: { shop },
+        data: { lastSyncError: message },
+      });
+      return { ok: false, error: message };
+    }
+  }
+
+  if (intent === "refresh-product-index") {
+    try {
+      const snapshot = await syncProductIndexForShop({
+        shop,
+        adminGraphql: adminGraphqlFor(admin),
+      });
+      await refreshRateTable(shop);
+      return { ok: true, refreshed: true, productCount: snapshot.productCount };
+    } catch (err) {
+      return { ok: false, error: err instanceof Error ? err.message : String(err) };
+    }
   }
 
   return { ok: false, error: "Unknown intent" };
 }
 
+// Loader volume groups -> editor state (_key = stable React key for new/unsaved rows)
+function volumeGroupsToRows(groups) {
+  return groups.map((g) => ({
+    _key: crypto.randomUUID(),
+    id: g.id,
+    name: g.name,
+    scope: g.scope,
+    rules: g.rules.map((rule) => ({ ...rule, _key: crypto.randomUUID() })),
+    rows: volumeTiersToRows(g.tiers).map((row) => ({ ...row, _key: crypto.randomUUID() })),
+  }));
+}
+
 export default function SettingsPage() {
   const submit = useSubmit();
   const navigate = useNavigate();
@@ -96,6 +446,32 @@ export default function SettingsPage() {
 
   const [label, setLabel] = useState(data.volumeDiscountLabel || "Volume Pricing");
 
+  const [timezone, setTimezone] = useState(data.deliveryCalendar.timezone);
+  const [cutoffTime, setCutoffTime] = useState(data.deliveryCalendar.cutoffTime);
+  const [workDays, setWorkDays] = useState(data.deliveryCalendar.workDays);
+  const [holidaysText, setHolidaysText] = useState(data.deliveryCalendar.holidays.join("\n"));
+
+  const [fallbackEnabled, setFallbackEnabled] = useState(data.fallbackRate.enabled);
+  const [fallbackName, setFallbackName] = useState(data.fallbackRate.name);
+  const [fallbackPrice, setFallbackPrice] = useState(
+    (data.fallbackRate.priceCents / 100).toFixed(2)
+  );
+  const [fallbackCode, setFallbackCode] = useState(data.fallbackRate.serviceCode);
+
+  const [volumeGroups, setVolumeGroups] = useState(() => volumeGroupsToRows(data.volumeGroups));
+  // Reload after saves and syncs (e.g. imported discounts) so the editor shows what's stored
+  useEffect(() => setVolumeGroups(volumeGroupsToRows(data.volumeGroups)), [data.volumeGroups]);
+  const volumeValidation = validateVolumeGroups(volumeGroups);
+  const updateVolumeGroup = (key, next) =>
+    setVolumeGroups((groups) => groups.map((g) => (g._key === key ? next : g)));
+
+  const [combinationStrategy, setCombinationStrategy] = useState(data.rateCombinationStrategy);
+
+  const [debugMode, setDebugMode] = useState(data.rateDebug.mode);
+  const [debugDestinations, setDebugDestinations] = useState(
+    data.rateDebug.destinations.join(", ")
+  );
+
   const [modalOpen, setModalOpen] = useState(false);
   const [selectedDiscount, setSelectedDiscount] = useState(null);
 
@@ -111,6 +487,20 @@ export default function SettingsPage() {
 
   const snapshot = data.volumePricingSnapshot;
   const discounts = Array.isArray(snapshot?.discounts) ? snapshot.discounts : [];
+  const converted = Array.isArray(snapshot?.translation?.converted)
+    ? snapshot.translation.converted
+    : [];
+  const translationWarnings = Array.isArray(snapshot?.translation?.warnings)
+    ? snapshot.translation.warnings
+    : [];
+  const replacedGroups = Array.isArray(snapshot?.translation?.replaced)
+    ? snapshot.translation.replaced
+    : [];
+
+  const zones = useMemo(
+    () => (Array.isArray(data.zonesSnapshot?.zones) ? data.zonesSnapshot.zones : []),
+    [data.zonesSnapshot]
+  );
 
   const snapshotPulledAt = snapshot?.pulledAt || "(unknown)";
   const lastSyncedLabel = data.volumePricingLastSyncedAt || "Never";
@@ -129,6 +519,309 @@ export default function SettingsPage() {
             <p>{actionData.error}</p>
           </Banner>
         ) : null}
+        {actionData?.saved && actionData?.eligibilityError ? (
+          <Banner tone="warning" title="Volume pricing saved, eligibility sync failed">
+            <p>
+              The new groups are live, but eligible products weren’t refreshed:{" "}
+              {actionData.eligibilityError}. Use Refresh eligible products to retry.
+            </p>
+          </Banner>
+        ) : null}
+
+        <Card>
+          <BlockStack gap="200">
+            <Text variant="headingMd" as="h2">
+              Managed shipping zones
+            </Text>
+
+            <Text as="p" variant="bodySm" tone="subdued">
+              Choose the zones, countries or provinces where this app returns rates. Other
+              destinations get no rates from this app, so Shopify’s own rates apply there.
+            </Text>
+
+            <InlineStack align="space-between" blockAlign="center" gap="200">
+              <BlockStack gap="050">
+                <Text as="p" variant="bodySm">
+                  Zones snapshot pulled: {data.zonesSnapshot?.pulledAt || "Never"}
+                </Text>
+                {data.zonesLastSyncError ? (
+                  <Text as="p" variant="bodySm" tone="critical">
+                    Last sync error: {data.zonesLastSyncError}
+                  </Text>
+                ) : null}
+              </BlockStack>
+
+              <Button
+                onClick={() => {
+                  const fd = new FormData();
+                  fd.set("intent", "resync-zones");
+                  submit(fd, { method: "post" });
+                }}
+              >
+                Resync zones
+              </Button>
+            </InlineStack>
+
+            <Divider />
+
+            <ManagedZonesPicker
+              zones={zones}
+              config={data.managedZoneConfig}
+              onSave={(config) => {
+                const fd = new FormData();
+                fd.set("intent", "save-managed-zones");
+                fd.set("managedZoneConfig", JSON.stringify(config));
+                submit(fd, { method: "post" });
+              }}
+            />
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="200">
+            <Text variant="headingMd" as="h2">
+              Delivery calendar
+            </Text>
+
+            <Text as="p" variant="bodySm" tone="subdued">
+              Business days used for delivery date estimates at checkout. Orders after the cutoff,
+              or on a non-working day, count from the next business day. Charts and services set
+              their own handling and transit days.
+            </Text>
+
+            <InlineStack gap="300" blockAlign="end">
+              <TextField
+                label="Timezone"
+                value={timezone}
+                onChange={setTimezone}
+                placeholder={data.shopTimezone || "America/New_York"}
+                helpText={`Blank = the shop's timezone (${data.shopTimezone || "UTC"})`}
+                autoComplete="off"
+              />
+              <TextField
+                label="Daily order cutoff"
+                type="time"
+                value={cutoffTime}
+                onChange={setCutoffTime}
+                helpText="Blank = no cutoff"
+                autoComplete="off"
+              />
+            </InlineStack>
+
+            <InlineStack gap="300">
+              {WEEKDAYS.map((dayLabel, day) => (
+                <Checkbox
+                  key={dayLabel}
+                  label={dayLabel}
+                  checked={workDays.includes(day)}
+                  onChange={(on) =>
+                    setWorkDays((prev) =>
+                      on ? [...prev, day].sort() : prev.filter((d) => d !== day)
+                    )
+                  }
+                />
+              ))}
+            </InlineStack>
+
+            <TextField
+              label="Holidays"
+              value={holidaysText}
+              onChange={setHolidaysText}
+              multiline={3}
+              placeholder={"2026-12-25\n2027-01-01"}
+              helpText="One date per line (YYYY-MM-DD). Holidays are never business days."
+              autoComplete="off"
+            />
+
+            <InlineStack align="end">
+              <Button
+                onClick={() => {
+                  const fd = new FormData();
+                  fd.set("intent", "save-delivery-calendar");
+                  fd.set(
+                    "deliveryCalendar",
+                    JSON.stringify({
+                      timezone: timezone.trim(),
+                      cutoffTime,
+                      workDays,
+                      holidays: holidaysText,
+                    })
+                  );
+                  submit(fd, { method: "post" });
+                }}
+              >
+                Save delivery calendar
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="200">
+            <Text variant="headingMd" as="h2">
+              Combining chart rates
+            </Text>
+
+            <Text as="p" variant="bodySm" tone="subdued">
+              When several charts match a cart, choose which rates checkout shows. Priority is
+              the order of the Shipping Charts list (drag to reorder); ties on price go to the
+              higher chart. Charts without a service code are their own service.
+            </Text>
+
+            <InlineStack gap="300" blockAlign="end">
+              <Select
+                label="Show"
+                options={COMBINATION_OPTIONS}
+                value={combinationStrategy}
+                onChange={setCombinationStrategy}
+              />
+              <Button
+                onClick={() => {
+                  const fd = new FormData();
+                  fd.set("intent", "save-rate-combination");
+                  fd.set("strategy", combinationStrategy);
+                  submit(fd, { method: "post" });
+                }}
+              >
+                Save
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="200">
+            <Text variant="headingMd" as="h2">
+              Fallback rate
+            </Text>
+
+            <Text as="p" variant="bodySm" tone="subdued">
+              Offered when a managed destination would otherwise get no rates from any chart.
+              If rate calculation fails outright, checkout gets the last good rates for a similar
+              cart instead. Every fallback is recorded below.
+            </Text>
+
+            <Checkbox
+              label="Offer a fallback rate"
+              checked={fallbackEnabled}
+              onChange={setFallbackEnabled}
+            />
+
+            <InlineStack gap="300" blockAlign="end">
+              <TextField
+                label="Rate name"
+                value={fallbackName}
+                onChange={setFallbackName}
+                disabled={!fallbackEnabled}
+                autoComplete="off"
+              />
+              <TextField
+                label="Price ($)"
+                type="number"
+                value={fallbackPrice}
+                onChange={setFallbackPrice}
+                disabled={!fallbackEnabled}
+                autoComplete="off"
+              />
+              <TextField
+                label="Service code"
+                value={fallbackCode}
+                onChange={setFallbackCode}
+                disabled={!fallbackEnabled}
+                autoComplete="off"
+              />
+            </InlineStack>
+
+            <InlineStack align="end">
+              <Button
+                onClick={() => {
+                  const fd = new FormData();
+                  fd.set("intent", "save-fallback-rate");
+                  fd.set("enabled", String(fallbackEnabled));
+                  fd.set("name", fallbackName);
+                  fd.set("priceDollars", fallbackPrice);
+                  fd.set("serviceCode", fallbackCode);
+                  submit(fd, { method: "post" });
+                }}
+              >
+                Save fallback rate
+              </Button>
+            </InlineStack>
+
+            <Divider />
+
+            <Text variant="headingSm" as="h3">
+              Recent fallbacks
+            </Text>
+            {data.recentFallbacks.length ? (
+              <BlockStack gap="100">
+                {data.recentFallbacks.map((e) => (
+                  <Text as="p" key={e.id} variant="bodySm">
+                    {e.createdAt} • {e.kind}
+                    {e.chartId ? ` • chart ${e.chartId}` : ""}
+                    {e.reason ? ` • ${e.reason}` : ""}
+                  </Text>
+                ))}
+              </BlockStack>
+            ) : (
+              <Text as="p" variant="bodySm" tone="subdued">
+                No fallbacks recorded.
+              </Text>
+            )}
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="200">
+            <Text variant="headingMd" as="h2">
+              Rate debug output
+            </Text>
+
+            <Text as="p" variant="bodySm" tone="subdued">
+              Adds diagnostic text (merchandise basis, volume tier, matched tier, caps) to rate
+              descriptions at checkout. Shoppers see it too, so limit it to test destinations.
+            </Text>
+
+            <InlineStack gap="300" blockAlign="end">
+              <Select
+                label="Show diagnostics"
+                options={[
+                  { label: "Off", value: "OFF" },
+                  { label: "Test destinations only", value: "TEST_DESTINATIONS" },
+                  { label: "All destinations", value: "ALL" },
+                ]}
+                value={debugMode}
+                onChange={setDebugMode}
+              />
+              {debugMode === "TEST_DESTINATIONS" ? (
+                <TextField
+                  label="Test destinations"
+                  value={debugDestinations}
+                  onChange={setDebugDestinations}
+                  placeholder="99999, US-AK"
+                  helpText="Countries, US-CA style provinces or postal code prefixes"
+                  autoComplete="off"
+                />
+              ) : null}
+            </InlineStack>
+
+            <InlineStack align="end">
+              <Button
+                onClick={() => {
+                  const fd = new FormData();
+                  fd.set("intent", "save-rate-debug");
+                  fd.set(
+                    "rateDebug",
+                    JSON.stringify({ mode: debugMode, destinations: debugDestinations })
+                  );
+                  submit(fd, { method: "post" });
+                }}
+              >
+                Save debug settings
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
 
         <Card>
           <BlockStack gap="200">
@@ -149,7 +842,9 @@ export default function SettingsPage() {
               <Box>
                 <Text as="p" variant="bodySm" tone="subdued">
                   We’ll match automatic discounts whose title contains this text (case-insensitive).
-                  Default: Volume Pricing.
+                  Default: Volume Pricing. Refreshing converts matched amount-per-item and
+                  percentage discounts into the volume pricing groups and eligibility below.
+                  Groups you add here are kept.
                 </Text>
               </Box>
 
@@ -212,6 +907,43 @@ export default function SettingsPage() {
                     {snapshot ? "No matching discounts found." : "No cached snapshot yet."}
                   </Text>
                 )}
+
+                {converted.length ? (
+                  <Text as="p" variant="bodySm">
+                    Converted to volume pricing tiers:{" "}
+                    {converted
+                      .map((c) => c.tier || c)
+                      .map((t) => `${t.minEligibleQty}+ → ${describeVolumeTier(t)}`)
+                      .join(", ")}
+                  </Text>
+                ) : null}
+
+                {translationWarnings.length ? (
+                  <Banner tone="warning" title="Some discounts couldn’t be converted">
+                    <BlockStack gap="100">
+                      {translationWarnings.map((w, idx) => (
+                        <Text as="p" key={idx} variant="bodySm">
+                          {w.title ? `${w.title}: ${w.message}` : w.message}
+                        </Text>
+                      ))}
+                    </BlockStack>
+                  </Banner>
+                ) : null}
+
+                {replacedGroups.length ? (
+                  <Banner tone="warning" title="The last sync replaced volume pricing groups">
+                    <BlockStack gap="100">
+                      {replacedGroups.map((g) => (
+                        <Text as="p" key={g.id} variant="bodySm">
+                          {g.name}:{" "}
+                          {g.removed
+                            ? "removed, its discount no longer matches the label"
+                            : "tiers replaced by the discount's, including any edits made here"}
+                        </Text>
+                      ))}
+                    </BlockStack>
+                  </Banner>
+                ) : null}
               </BlockStack>
 
               <Button
@@ -228,6 +960,167 @@ export default function SettingsPage() {
           </BlockStack>
         </Card>
 
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack align="space-between" blockAlign="center">
+              <Text variant="headingMd" as="h2">
+                Volume pricing groups
+              </Text>
+              <Button
+                onClick={() =>
+                  setVolumeGroups((groups) => [
+                    ...groups,
+                    {
+                      _key: crypto.randomUUID(),
+                      id: crypto.randomUUID(),
+                      name: "",
+                      scope: "GROUP",
+                      rules: [],
+                      rows: [],
+                    },
+                  ])
+                }
+              >
+                Add group
+              </Button>
+            </InlineStack>
+
+            <Text as="p" variant="bodySm" tone="subdued">
+              Shipping tiers are priced off merchandise after these discounts. Each group has
+              its own eligible products and tiers; the highest tier a group reaches discounts
+              its eligible lines (percentages are rounded to the cent per line, like Shopify).
+              No groups = no volume discount.
+            </Text>
+
+            <BlockStack gap="050">
+              <Text as="p" variant="bodySm">
+                Eligibility last synced: {data.volumeEligibilityLastSyncedAt || "Never"}
+              </Text>
+              {data.volumeEligibility ? (
+                <Text as="p" variant="bodySm">
+                  Eligible products (all groups): {data.volumeEligibility.productCount}
+                </Text>
+              ) : null}
+              {data.volumeEligibilityLastSyncError ? (
+                <Text as="p" variant="bodySm" tone="critical">
+                  Last sync error: {data.volumeEligibilityLastSyncError}
+                </Text>
+              ) : null}
+            </BlockStack>
+
+            {volumeGroups.length === 0 ? (
+              <Text as="p" variant="bodySm" tone="subdued">
+                No groups yet.
+              </Text>
+            ) : null}
+
+            <InlineStack align="end" gap="200">
+              <Button
+                onClick={() => {
+                  const fd = new FormData();
+                  fd.set("intent", "refresh-volume-eligibility");
+                  submit(fd, { method: "post" });
+                }}
+              >
+                Refresh eligible products
+              </Button>
+              <Button
+                variant="primary"
+                disabled={!volumeValidation.ok}
+                onClick={() => {
+                  const fd = new FormData();
+                  fd.set("intent", "save-volume-groups");
+                  fd.set(
+                    "groups",
+                    JSON.stringify(
+                      volumeGroups.map((g) => ({
+                        id: g.id,
+                        name: g.name,
+                        scope: g.scope,
+                        rules: g.rules.map(({ mode, type, value, label }) => ({
+                          mode,
+                          type,
+                          value,
+                          label,
+                        })),
+                        rows: g.rows.map(({ minEligibleQty, type, value }) => ({
+                          minEligibleQty,
+                          type,
+                          value,
+                        })),
+                      }))
+                    )
+                  );
+                  submit(fd, { method: "post" });
+                }}
+              >
+                Save volume pricing
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
+        {volumeGroups.map((group, index) => (
+          <VolumePricingGroupEditor
+            key={group._key}
+            group={group}
+            issues={volumeValidation.issues[index]}
+            status={data.volumeEligibility?.groups[group.id] || null}
+            onChange={(next) => updateVolumeGroup(group._key, next)}
+            onRemove={() =>
+              setVolumeGroups((groups) => groups.filter((g) => g._key !== group._key))
+            }
+          />
+        ))}
+
+        <Card>
+          <BlockStack gap="200">
+            <Text variant="headingMd" as="h2">
+              Product selector index
+            </Text>
+
+            <Text as="p" variant="bodySm" tone="subdued">
+              Cached product tags and collections used to match chart selectors at checkout.
+              Refresh after changing product tags or collection membership.
+            </Text>
+
+            <Divider />
+
+            <InlineStack align="space-between" blockAlign="end" gap="300" wrap={false}>
+              <BlockStack gap="100">
+                <Text as="p" variant="bodySm">
+                  Last synced: {data.productIndexLastSyncedAt || "Never"}
+                </Text>
+                <Text as="p" variant="bodySm">
+                  Products indexed: {data.productIndex?.productCount ?? 0} (
+                  {data.productIndex?.tags.length ?? 0} tags,{" "}
+                  {data.productIndex?.collectionIds.length ?? 0} collections)
+                </Text>
+                {data.productIndex?.warnings.length ? (
+                  <Text as="p" variant="bodySm" tone="caution">
+                    Warnings: {data.productIndex.warnings.join(", ")}
+                  </Text>
+                ) : null}
+                {data.productIndexLastSyncError ? (
+                  <Text as="p" variant="bodySm" tone="critical">
+                    Last sync error: {data.productIndexLastSyncError}
+                  </Text>
+                ) : null}
+              </BlockStack>
+
+              <Button
+                onClick={() => {
+                  const fd = new FormData();
+                  fd.set("intent", "refresh-product-index");
+                  submit(fd, { method: "post" });
+                }}
+              >
+                Refresh product index
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
         <Modal
           open={modalOpen}
           onClose={closeDiscountModal}
@@ -1,15 +1,5 @@
-import { Page, Card, Text } from "@shopify/polaris";
+import { Outlet } from "react-router";
 
-export default function SettingsPage() {
-  return (
-    <Page title="Settings">
-      <Card>
-        <Text as="p" tone="subdued">
-          Settings will manage default shipping services (app-defined list first).
-          Later we can map these to real checkout identifiers when we implement the
-          carrier service / functions layer.
-        </Text>
-      </Card>
-    </Page>
-  );
+export default function SettingsLayout() {
+  return <Outlet />;
 }
@@ -0,0 +1,498 @@
+import { useEffect, useState } from "react";
+import { useActionData, useLoaderData, useNavigation, useSubmit } from "react-router";
+import {
+  Page,
+  Card,
+  Text,
+  Badge,
+  Banner,
+  Button,
+  InlineStack,
+  BlockStack,
+  Box,
+  Divider,
+  TextField,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { compareChartOrder, compileRateTable } from "../lib/rateTable.server";
+import { cartTotalsFromItems, quoteRates } from "../lib/rateEngine.server";
+import { chartFromEditorPayload } from "../lib/chartDraft.server";
+
+// Written by the chart editor's "Simulate" button (unsaved edits never hit the DB)
+const SIMULATOR_DRAFT_KEY = "rateSimulatorDraft";
+
+/**
+ * Loader: saved charts, so the page can say what will be quoted
+ */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const charts = await prisma.shippingChart.findMany({
+    where: { shop: session.shop },
+    select: { id: true, name: true, isActive: true },
+    orderBy: [{ priority: "desc" }, { createdAt: "desc" }],
+  });
+  return { charts };
+}
+
+function safeJsonParse(str, fallback) {
+  try {
+    if (typeof str !== "string" || !str.trim()) return fallback;
+    return JSON.parse(str);
+  } catch {
+    return fallback;
+  }
+}
+
+function toCarrierItem(item, idx) {
+  const productId = String(item?.productId || "").trim();
+  return {
+    name: String(item?.title || "").trim() || `Test item ${idx + 1}`,
+    sku: "",
+    quantity: Math.max(0, Math.round(Number(item?.quantity) || 0)),
+    grams: Math.max(0, Math.round(Number(item?.grams) || 0)),
+    price: Math.max(0, Math.round((Number(item?.price) || 0) * 100)),
+    product_id: productId ? productId.replace(/^gid:\/\/shopify\/Product\//, "") : null,
+    variant_id: null,
+    requires_shipping: true,
+  };
+}
+
+/**
+ * Action: quote a test cart with the same engine as /api/rates (dry run: no fallback
+ * events, no quote log). A fresh table is compiled so the result matches the DB now.
+ */
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const shop = session.shop;
+  const form = await request.formData();
+
+  const cart = safeJsonParse(String(form.get("cart") || "[]"), []);
+  const dest = safeJsonParse(String(form.get("destination") || "{}"), {});
+  const draft = safeJsonParse(String(form.get("draft") || ""), null);
+
+  const items = (Array.isArray(cart) ? cart : [])
+    .map(toCarrierItem)
+    .filter((i) => i.quantity > 0);
+  if (items.length === 0) return { ok: false, error: "Add at least one item with a quantity" };
+
+  const destination = {
+    countryCode: String(dest?.country || "").trim().toUpperCase(),
+    provinceCode: String(dest?.province || "").trim().toUpperCase(),
+    postalCode: String(dest?.postal || "").trim(),
+  };
+  if (!destination.countryCode) return { ok: false, error: "Country is required" };
+
+  try {
+    const table = await compileRateTable(shop);
+    let charts = table.charts;
+    let draftInfo = null;
+
+    if (draft?.payload) {
+      const saved = draft.chartId
+        ? await prisma.shippingChart.findFirst({
+            where: { id: String(draft.chartId), shop },
+            include: { selectors: true },
+          })
+        : null;
+      const {
+        ok,
+        tierIssues,
+        destinationIssues,
+        chart: draftChart,
+      } = chartFromEditorPayload(draft.payload, {
+        id: saved?.id,
+        shop,
+        priority: saved?.priority,
+        createdAt: saved?.createdAt,
+        selectors: saved?.selectors,
+      });
+      // Saving would reject these edits, so don't quote them as if it wouldn't
+      if (!ok) {
+        return {
+          ok: false,
+          error: "The unsaved edits have errors. Fix them in the chart editor first.",
+          tierIssues,
+          destinationIssues,
+        };
+      }
+      draftInfo = { id: draftChart.id, name: draftChart.name, isActive: draftChart.isActive };
+
+      // Swap the saved version out; inactive drafts are quoted like inactive charts (not at all)
+      charts = charts.filter((c) => c.id !== draftChart.id);
+      if (draftChart.isActive) {
+        charts = [...charts, draftChart].sort(compareChartOrder);
+      }
+    }
+
+    const payload = {
+      rate: {
+        destination: {
+          country: destination.countryCode,
+          province: destination.provinceCode,
+          postal_code: destination.postalCode,
+        },
+        items,
+        currency: "USD",
+      },
+    };
+
+    const totals = cartTotalsFromItems(items);
+    const trace = { warnings: [], charts: [] };
+    const response = await quoteRates({
+      shop,
+      rateTable: { ...table, charts },
+      payload,
+      items,
+      merchCents: totals.merchCents,
+      totalGrams: totals.totalGrams,
+      destination,
+      trace,
+      dryRun: true,
+    });
+
+    return { ok: true, draft: draftInfo, payload, response, trace };
+  } catch (err) {
+    return { ok: false, error: err instanceof Error ? err.message : String(err) };
+  }
+}
+
+function money(cents) {
+  return `$${(Number(cents || 0) / 100).toFixed(2)}`;
+}
+
+const CHART_OUTCOME_TONES = { QUOTED: "success", NO_TIER: "warning", SKIPPED: undefined };
+
+function newItem() {
+  return {
+    key: crypto.randomUUID(),
+    productId: "",
+    title: "",
+    quantity: "1",
+    price: "25.00",
+    grams: "0",
+  };
+}
+
+function ChartOutcome({ chart, isDraft }) {
+  return (
+    <BlockStack gap="100">
+      <InlineStack gap="200" blockAlign="center">
+        <Text as="h3" variant="headingSm">
+          {chart.chartName}
+        </Text>
+        <Badge tone={CHART_OUTCOME_TONES[chart.outcome]}>{chart.outcome}</Badge>
+        {isDraft ? <Badge tone="attention">Unsaved edits</Badge> : null}
+        {chart.region ? <Badge>{`Region: ${chart.region.name}`}</Badge> : null}
+      </InlineStack>
+      {chart.reasons.map((reason, i) => (
+        <Text as="p" variant="bodySm" tone="subdued" key={i}>
+          {reason}
+        </Text>
+      ))}
+      {chart.rangeValue != null ? (
+        <Text as="p" variant="bodySm" tone="subdued">
+          Tier lookup value:{" "}
+          {chart.basisType === "WEIGHT" ? `${chart.rangeValue} g` : money(chart.rangeValue)}
+        </Text>
+      ) : null}
+      {chart.plans.map((plan, i) => (
+        <Text as="p" variant="bodySm" key={i}>
+          {plan.serviceCode ? `${plan.serviceCode}: ` : ""}
+          {plan.priceCents == null
+            ? `no rate (${plan.reason})`
+            : [
+                `${plan.tierName} → ${money(plan.priceCents)}`,
+                plan.usedFallback ? "chart fallback" : null,
+                plan.serviceAdjusted ? "service adjustment applied" : null,
+                plan.capped ? `capped from ${money(plan.uncappedCents)}` : null,
+              ]
+                .filter(Boolean)
+                .join(" • ")}
+        </Text>
+      ))}
+    </BlockStack>
+  );
+}
+
+export default function RateSimulatorPage() {
+  const { charts } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const [items, setItems] = useState(() => [newItem()]);
+  const [country, setCountry] = useState("US");
+  const [province, setProvince] = useState("");
+  const [postal, setPostal] = useState("");
+  const [draft, setDraft] = useState(null);
+
+  // Unsaved chart edits handed over by the editor (session-only)
+  useEffect(() => {
+    const stored = safeJsonParse(window.sessionStorage.getItem(SIMULATOR_DRAFT_KEY), null);
+    if (stored?.payload) setDraft(stored);
+  }, []);
+
+  const discardDraft = () => {
+    window.sessionStorage.removeItem(SIMULATOR_DRAFT_KEY);
+    setDraft(null);
+  };
+
+  const updateItem = (key, patch) =>
+    setItems((list) => list.map((i) => (i.key === key ? { ...i, ...patch } : i)));
+
+  const run = () => {
+    const fd = new FormData();
+    fd.set("cart", JSON.stringify(items.map(({ key, ...item }) => item)));
+    fd.set("destination", JSON.stringify({ country, province, postal }));
+    if (draft) fd.set("draft", JSON.stringify(draft));
+    submit(fd, { method: "post" });
+  };
+
+  const running = navigation.state === "submitting";
+  const result = actionData?.ok ? actionData : null;
+  const volume = result?.trace?.volume;
+
+  return (
+    <Page
+      title="Rate simulator"
+      subtitle="Quote a test cart with the same engine checkout uses. Nothing is saved or logged."
+    >
+      <BlockStack gap="400">
+        {draft ? (
+          <Banner
+            tone="info"
+            title={`Using unsaved edits to “${draft.payload?.name || "Unsaved chart"}”`}
+            action={{ content: "Use saved charts only", onAction: discardDraft }}
+          >
+            <p>Other charts are quoted as saved.</p>
+          </Banner>
+        ) : null}
+
+        {actionData?.ok === false && actionData?.error ? (
+          <Banner tone="critical" title="Simulation failed">
+            <p>{actionData.error}</p>
+            {actionData.tierIssues?.length ? (
+              <ul>
+                {actionData.tierIssues.map((issue, i) => (
+                  <li key={i}>
+                    {issue.tierIndex == null ? "" : `Tier ${issue.tierIndex + 1}: `}
+                    {issue.message}
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+            {actionData.destinationIssues?.length ? (
+              <ul>
+                {actionData.destinationIssues.map((issue, i) => (
+                  <li key={i}>Destinations: {issue.message}</li>
+                ))}
+              </ul>
+            ) : null}
+          </Banner>
+        ) : null}
+
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Test cart
+            </Text>
+            {items.map((item) => (
+              <InlineStack key={item.key} gap="200" blockAlign="end" wrap={false}>
+                <TextField
+                  label="Product ID"
+                  value={item.productId}
+                  onChange={(v) => updateItem(item.key, { productId: v })}
+                  placeholder="1234567890"
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Title"
+                  value={item.title}
+                  onChange={(v) => updateItem(item.key, { title: v })}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Quantity"
+                  type="number"
+                  value={item.quantity}
+                  onChange={(v) => updateItem(item.key, { quantity: v })}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Unit price"
+                  type="number"
+                  prefix="$"
+                  value={item.price}
+                  onChange={(v) => updateItem(item.key, { price: v })}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Grams (each)"
+                  type="number"
+                  value={item.grams}
+                  onChange={(v) => updateItem(item.key, { grams: v })}
+                  autoComplete="off"
+                />
+                <Button
+                  tone="critical"
+                  disabled={items.length === 1}
+                  onClick={() => setItems((list) => list.filter((i) => i.key !== item.key))}
+                >
+                  Remove
+                </Button>
+              </InlineStack>
+            ))}
+            <InlineStack>
+              <Button onClick={() => setItems((list) => [...list, newItem()])}>Add item</Button>
+            </InlineStack>
+            <Text as="p" variant="bodySm" tone="subdued">
+              Product IDs matter for chart product selectors and volume pricing eligibility.
+            </Text>
+          </BlockStack>
+        </Card>
+
+        <Card>
+          <BlockStack gap="300">
+            <Text as="h2" variant="headingMd">
+              Destination
+            </Text>
+            <InlineStack gap="200" wrap={false}>
+              <TextField
+                label="Country code"
+                value={country}
+                onChange={setCountry}
+                placeholder="US"
+                autoComplete="off"
+              />
+              <TextField
+                label="Province code"
+                value={province}
+                onChange={setProvince}
+                placeholder="CA"
+                autoComplete="off"
+              />
+              <TextField
+                label="Postal code"
+                value={postal}
+                onChange={setPostal}
+                autoComplete="off"
+              />
+            </InlineStack>
+            <InlineStack gap="200" align="end">
+              <Button variant="primary" onClick={run} loading={running}>
+                Run simulation
+              </Button>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
+        {result ? (
+          <>
+            {result.trace.warnings.length ? (
+              <Banner tone="warning" title="Warnings">
+                <ul>
+                  {result.trace.warnings.map((w, i) => (
+                    <li key={i}>{w}</li>
+                  ))}
+                </ul>
+              </Banner>
+            ) : null}
+
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Volume pricing
+                </Text>
+                <Text as="p" variant="bodySm">
+                  Merchandise {money(result.trace.merchCents)} → basis{" "}
+                  {money(result.trace.basisCents)}
+                </Text>
+                {result.trace.zoneGate?.managed === false ? (
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    Destination is outside the managed zones, so no rates are returned.
+                  </Text>
+                ) : volume ? (
+                  <Box
+                    padding="200"
+                    background="bg-surface-secondary"
+                    borderRadius="200"
+                    overflowX="scroll"
+                  >
+                    <pre style={{ margin: 0, fontSize: 12 }}>
+                      {JSON.stringify(volume, null, 2)}
+                    </pre>
+                  </Box>
+                ) : (
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    Volume pricing was not evaluated.
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Charts
+                </Text>
+                {result.trace.charts.length === 0 ? (
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    {charts.some((c) => c.isActive) || result.draft?.isActive
+                      ? "No charts were evaluated."
+                      : "No active charts."}
+                  </Text>
+                ) : (
+                  result.trace.charts.map((c, i) => (
+                    <BlockStack gap="200" key={c.chartId || i}>
+                      {i > 0 ? <Divider /> : null}
+                      <ChartOutcome chart={c} isDraft={result.draft?.id === c.chartId} />
+                    </BlockStack>
+                  ))
+                )}
+                {result.draft && !result.draft.isActive ? (
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    “{result.draft.name}” is set to inactive in your unsaved edits, so it was
+                    not quoted.
+                  </Text>
+                ) : null}
+                {result.trace.combination?.dropped?.length ? (
+                  <Text as="p" variant="bodySm">
+                    Combination ({result.trace.combination.strategy}) dropped:{" "}
+                    {result.trace.combination.dropped
+                      .map((d) => `${d.chartName} ${money(d.priceCents)}`)
+                      .join(", ")}
+                  </Text>
+                ) : null}
+                {result.trace.shopFallback ? (
+                  <Text as="p" variant="bodySm">
+                    Shop fallback rate {money(result.trace.shopFallback.priceCents)} (
+                    {result.trace.shopFallback.reason})
+                  </Text>
+                ) : null}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text as="h2" variant="headingMd">
+                  Shopify response
+                </Text>
+                <Box
+                  padding="200"
+                  background="bg-surface-secondary"
+                  borderRadius="200"
+                  overflowX="scroll"
+                >
+                  <pre style={{ margin: 0, fontSize: 12 }}>
+                    {JSON.stringify(result.response, null, 2)}
+                  </pre>
+                </Box>
+              </BlockStack>
+            </Card>
+          </>
+        ) : null}
+      </BlockStack>
+    </Page>
+  );
+}
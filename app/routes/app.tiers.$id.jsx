@@ -1,5 +1,5 @@
 import { useEffect, useMemo, useState } from "react";
-import { Page } from "@shopify/polaris";
+import { Banner, BlockStack, Page } from "@shopify/polaris";
 import {
   useActionData,
   useLoaderData,
@@ -10,6 +10,20 @@ import {
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
 import { ShippingChartEditorForm } from "../components/ShippingChartEditorForm";
+import { refreshRateTable } from "../lib/rateTable.server";
+import { fromStoredRangeValue } from "../lib/chartUnits";
+import { syncProductIndexForShop } from "../lib/productIndexSync.server";
+import { indexedSelectorKeys } from "../lib/selectorEngine.server";
+import { buildServiceCodeOptions, servicesToEditor } from "../lib/chartServices.server";
+import {
+  chartPayloadFromFormData,
+  parseChartEditorPayload,
+} from "../lib/chartEditorPayload.server";
+import {
+  matrixRatesToEditor,
+  parseMatrixRegions,
+  zoneOptionsFromSnapshot,
+} from "../lib/rateMatrix.server";
 import fs from "node:fs/promises";
 import path from "node:path";
 
@@ -30,27 +44,79 @@ async function getAppBridgeApiKey() {
   }
 }
 
+/**
+ * Product/collection titles for the selector editor (selectors store numeric IDs).
+ * Best effort: a failed lookup just shows the IDs.
+ */
+async function loadSelectorLabels(admin, selectors) {
+  const gids = selectors
+    .filter((s) => s.type === "PRODUCT_ID" || s.type === "COLLECTION_ID")
+    .map((s) =>
+      s.type === "PRODUCT_ID"
+        ? `gid://shopify/Product/${s.value}`
+        : `gid://shopify/Collection/${s.value}`
+    );
+  if (!gids.length) return {};
+
+  try {
+    const res = await admin.graphql(
+      `#graphql
+      query SelectorLabels($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Product { id title }
+          ... on Collection { id title }
+        }
+      }`,
+      { variables: { ids: gids } }
+    );
+    const json = await res.json();
+    const labels = {};
+    for (const node of json?.data?.nodes ?? []) {
+      if (node?.id && node.title) labels[node.id.split("/").pop()] = node.title;
+    }
+    return labels;
+  } catch {
+    return {};
+  }
+}
+
 export async function loader({ request, params }) {
-  const { session } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const shop = session.shop;
 
   const chart = await prisma.shippingChart.findFirst({
     where: { id: params.id, shop },
     include: {
       tiers: { orderBy: [{ sortOrder: "asc" }, { minCents: "asc" }] },
+      destinationRules: { orderBy: { createdAt: "asc" } },
+      services: { orderBy: { sortOrder: "asc" } },
+      selectors: { orderBy: { createdAt: "asc" } },
     },
   });
 
   if (!chart) throw new Response("Shipping chart not found", { status: 404 });
 
+  const selectorLabels = await loadSelectorLabels(admin, chart.selectors || []);
+
   const appBridgeApiKey = await getAppBridgeApiKey();
 
-  // Settings-driven later. Keep empty but stable for now.
-  const shippingServiceOptions = [];
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shop },
+    select: { zonesSnapshotJson: true, servicesSnapshotJson: true },
+  });
+
+  // App codes + carrier services snapshot + this chart's services
+  const shippingServiceOptions = buildServiceCodeOptions({
+    servicesSnapshotJson: settings?.servicesSnapshotJson,
+    chartServices: chart.services,
+    currentCode: chart.defaultServiceCode,
+  });
+
+  const units = { basisType: chart.basisType, weightUnit: chart.weightUnit };
 
   const uiTiers = (chart.tiers || []).map((t) => {
-    const minValue = (t.minCents ?? 0) / 100;
-    const maxValue = t.maxCents == null ? null : t.maxCents / 100;
+    const minValue = fromStoredRangeValue(t.minCents ?? 0, units);
+    const maxValue = fromStoredRangeValue(t.maxCents, units);
 
     const rateType = t.priceType === "PERCENT_OF_BASIS" ? "PERCENT" : "FLAT";
     const rateValue =
@@ -65,6 +131,8 @@ export async function loader({ request, params }) {
       rateType,
       rateValue,
       priority: t.sortOrder ?? 0,
+      matrixRates: matrixRatesToEditor(t.matrixRatesJson),
+      serviceCode: t.serviceCode || "",
     };
   });
 
@@ -74,20 +142,61 @@ export async function loader({ request, params }) {
       shop: chart.shop,
       name: chart.name,
       isActive: chart.isActive,
+      chartType: chart.chartType,
+      matrixRegions: parseMatrixRegions(chart.matrixRegionsJson),
+      basisType: chart.basisType,
+      weightUnit: chart.weightUnit,
+      requireAllItemsMatch: chart.requireAllItemsMatch === true,
       handlingFee: (chart.handlingFeeCents ?? 0) / 100,
+      maxRate: chart.maxRateCents == null ? null : chart.maxRateCents / 100,
+      capPercentOfMax: chart.capPercentOfMax ?? 90,
       defaultServiceCode: chart.defaultServiceCode || "",
       tiers: uiTiers,
+      destinationRules: (chart.destinationRules || []).map((r) => ({
+        mode: r.mode,
+        type: r.type,
+        value: r.value,
+      })),
+      services: servicesToEditor(chart.services),
+      selectors: (chart.selectors || []).map((s) => ({
+        mode: s.mode,
+        type: s.type,
+        value: s.value,
+        label: selectorLabels[s.value] || "",
+      })),
+      handlingDays: chart.handlingDays,
+      transitDaysMin: chart.transitDaysMin,
+      transitDaysMax: chart.transitDaysMax,
+      descriptionTemplate: chart.descriptionTemplate || "",
+      freeShippingThreshold:
+        chart.freeShippingThresholdCents == null
+          ? null
+          : chart.freeShippingThresholdCents / 100,
+      fallbackRate: chart.fallbackRateCents == null ? null : chart.fallbackRateCents / 100,
     },
     shippingServiceOptions,
+    zoneOptions: zoneOptionsFromSnapshot(settings?.zonesSnapshotJson),
     appBridgeApiKey,
   };
 }
 
-function toCentsOrNull(amount) {
-  if (amount == null) return null;
-  const n = Number(amount);
-  if (!Number.isFinite(n)) return null;
-  return Math.round(n * 100);
+// Errors are recorded on ShopSettings (shown in Settings); the chart save still succeeds
+async function syncProductIndexAfterSave(shop, admin) {
+  try {
+    await syncProductIndexForShop({
+      shop,
+      adminGraphql: async (query, variables) => {
+        const res = await admin.graphql(query, { variables });
+        const json = await res.json();
+        if (json?.errors?.length) {
+          throw new Error(`Admin GraphQL errors: ${JSON.stringify(json.errors)}`);
+        }
+        return json;
+      },
+    });
+  } catch (err) {
+    console.error("[tiers] product index sync failed", { shop, error: String(err) });
+  }
 }
 
 function toPercentOrNull(amount) {
@@ -98,122 +207,102 @@ function toPercentOrNull(amount) {
 }
 
 export async function action({ request, params }) {
-  const { session } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const shop = session.shop;
 
   const formData = await request.formData();
-
-  const name = String(formData.get("name") || "").trim();
-  const isActive = String(formData.get("isActive") || "true") === "true";
-  const tiersJson = String(formData.get("tiers") || "[]");
-  const handlingFee = String(formData.get("handlingFee") || "0");
-  const defaultServiceCode = String(formData.get("defaultServiceCode") || "");
-  if (!name) return { ok: false, fieldErrors: { name: "Name is required" } };
+  const parsed = parseChartEditorPayload(chartPayloadFromFormData(formData));
+  if (!parsed.data.name) return { ok: false, fieldErrors: { name: "Name is required" } };
 
   // Ensure ownership
   const existing = await prisma.shippingChart.findFirst({
     where: { id: params.id, shop },
-    select: { id: true },
+    select: { id: true, selectors: { select: { type: true, value: true } } },
   });
   if (!existing) throw new Response("Shipping chart not found", { status: 404 });
 
-  let tiers = [];
-  try {
-    tiers = JSON.parse(tiersJson) || [];
-  } catch {
-    tiers = [];
-  }
-
-  function makeTierName({
-    minCents,
-    maxCents,
-    priceType,
-    flatPriceCents,
-    percentBps,
-  }) {
-    const min = minCents == null ? null : (minCents / 100).toFixed(2);
-    const max = maxCents == null ? null : (maxCents / 100).toFixed(2);
-    const range = maxCents == null ? `$${min}+` : `$${min}–$${max}`;
-
-    if (priceType === "PERCENT_OF_BASIS") {
-      const pct = percentBps == null ? "0" : (percentBps / 100).toString();
-      return `${range} @ ${pct}%`;
-    }
-
-    const flat =
-      flatPriceCents == null ? "0.00" : (flatPriceCents / 100).toFixed(2);
-    return `${range} → $${flat}`;
+  if (!parsed.ok) {
+    return {
+      ok: false,
+      error: "Fix these errors before saving.",
+      tierIssues: parsed.tierIssues,
+      destinationIssues: parsed.destinationIssues,
+    };
   }
-
-  const tierCreates = (tiers || [])
-    .map((t, idx) => {
-      const minCents = toCentsOrNull(t?.minValue);
-      const maxCents = toCentsOrNull(t?.maxValue);
-
-      const priceType = t?.rateType === "PERCENT" ? "PERCENT_OF_BASIS" : "FLAT";
-
-      const flatPriceCents =
-        priceType === "FLAT" ? toCentsOrNull(t?.rateValue) : null;
-
-      // percentBps = percent * 100 (e.g. 6% => 600 bps)
-      const percentBps =
-        priceType === "PERCENT_OF_BASIS"
-          ? Math.round(Number(t?.rateValue ?? 0) * 100)
-          : null;
-
-      const sortOrder = Number.isFinite(Number(t?.priority))
-        ? Number(t.priority)
-        : idx;
-
-      return {
-        name: makeTierName({
-          minCents,
-          maxCents,
-          priceType,
-          flatPriceCents,
-          percentBps,
-        }),
-        minCents: minCents ?? 0,
-        maxCents,
-        priceType,
-        flatPriceCents,
-        percentBps,
-        serviceCode: null,
-        isActive: true,
-        sortOrder,
-      };
-    })
-    .filter((t) => {
-      const hasAnyRange = t.minCents != null || t.maxCents != null;
-      const hasRate =
-        (t.priceType === "PERCENT_OF_BASIS" && t.percentBps != null) ||
-        (t.priceType === "FLAT" && t.flatPriceCents != null);
-      return hasAnyRange && hasRate;
-    });
+  const selectors = parsed.selectors ?? [];
 
   // Delete+recreate tiers in a transaction so the DB matches the UI exactly
   await prisma.$transaction([
     prisma.shippingTier.deleteMany({
       where: { chartId: existing.id },
     }),
+    prisma.shippingDestinationRule.deleteMany({
+      where: { chartId: existing.id },
+    }),
+    prisma.shippingService.deleteMany({
+      where: { chartId: existing.id },
+    }),
+    prisma.shippingSelector.deleteMany({
+      where: { chartId: existing.id },
+    }),
     prisma.shippingChart.update({
       where: { id: existing.id },
       data: {
-        name,
-        isActive,
-        defaultServiceCode,
-        handlingFeeCents: toCentsOrNull(handlingFee) ?? 0,
+        ...parsed.data,
         tiers: {
-          create: tierCreates,
+          create: parsed.tiers,
+        },
+        destinationRules: {
+          create: parsed.destinationRules,
+        },
+        services: {
+          create: parsed.services,
+        },
+        selectors: {
+          create: selectors,
         },
       },
       select: { id: true },
     }),
   ]);
 
+  // New tag/collection selectors only match once the product index includes them
+  if (
+    indexedSelectorKeys(selectors).join("|") !== indexedSelectorKeys(existing.selectors).join("|")
+  ) {
+    await syncProductIndexAfterSave(shop, admin);
+  }
+
+  await refreshRateTable(shop);
   return { ok: true };
 }
 
+function SaveErrorBanner({ actionData }) {
+  if (actionData?.ok !== false) return null;
+  const issues = [
+    ...(actionData.tierIssues || []),
+    ...(actionData.destinationIssues || []).map((i) => ({ ...i, destination: true })),
+  ];
+  return (
+    <Banner
+      tone="critical"
+      title={actionData.error || actionData.fieldErrors?.name || "Chart not saved"}
+    >
+      {issues.length ? (
+        <ul>
+          {issues.map((issue, i) => (
+            <li key={i}>
+              {issue.destination ? "Destinations: " : ""}
+              {issue.tierIndex == null ? "" : `Tier ${issue.tierIndex + 1}: `}
+              {issue.message}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </Banner>
+  );
+}
+
 export default function EditShippingChartPage() {
   const submit = useSubmit();
   const navigate = useNavigate();
@@ -236,14 +325,45 @@ export default function EditShippingChartPage() {
     [loaderData]
   );
 
+  // Unsaved edits go to the simulator through sessionStorage (see app.simulator.jsx)
+  const onSimulate = (payload) => {
+    window.sessionStorage.setItem(
+      "rateSimulatorDraft",
+      JSON.stringify({ chartId: chart?.id ?? null, payload })
+    );
+    navigate(`/app/simulator${search}`);
+  };
+
   const onSave = (payload) => {
     setSaving(true);
 
     const fd = new FormData();
     fd.set("name", payload?.name || "");
     fd.set("isActive", payload?.isActive ? "true" : "false");
+    fd.set("basisType", String(payload?.basisType || "MERCHANDISE_PRE_DISCOUNT"));
+    fd.set("weightUnit", String(payload?.weightUnit || "LB"));
+    fd.set("chartType", String(payload?.chartType || "TIERED"));
+    fd.set("matrixRegions", JSON.stringify(payload?.matrixRegions || []));
+    fd.set("services", JSON.stringify(payload?.services || []));
+    fd.set("selectors", JSON.stringify(payload?.selectors || []));
+    fd.set("handlingDays", String(payload?.handlingDays ?? ""));
+    fd.set("transitDaysMin", String(payload?.transitDaysMin ?? ""));
+    fd.set("transitDaysMax", String(payload?.transitDaysMax ?? ""));
+    fd.set("descriptionTemplate", String(payload?.descriptionTemplate ?? ""));
+    fd.set(
+      "freeShippingThreshold",
+      payload?.freeShippingThreshold == null ? "" : String(payload.freeShippingThreshold)
+    );
+    fd.set("fallbackRate", payload?.fallbackRate == null ? "" : String(payload.fallbackRate));
+    fd.set(
+      "requireAllItemsMatch",
+      payload?.requireAllItemsMatch ? "true" : "false"
+    );
     fd.set("tiers", JSON.stringify(payload?.tiers || []));
+    fd.set("destinationRules", JSON.stringify(payload?.destinationRules || []));
     fd.set("handlingFee", String(payload?.handlingFee ?? 0));
+    fd.set("maxRate", payload?.maxRate == null ? "" : String(payload.maxRate));
+    fd.set("capPercentOfMax", String(payload?.capPercentOfMax ?? 90));
     fd.set("defaultServiceCode", String(payload?.defaultServiceCode || ""));
     submit(fd, { method: "post" });
   };
@@ -253,7 +373,7 @@ export default function EditShippingChartPage() {
     if (actionData?.ok !== undefined) {
       setSaving(false);
     }
-  }, [actionData?.ok]);
+  }, [actionData]);
 
   // redirect back to list after successful save
   useEffect(() => {
@@ -267,17 +387,23 @@ export default function EditShippingChartPage() {
       title="Edit Shipping Chart"
       backAction={{ content: "Shipping Charts", url: backUrl }}
     >
-      <ShippingChartEditorForm
-        mode="edit"
-        chart={chart}
-        shippingServiceOptions={shippingServiceOptions}
-        saving={saving}
-        onCancel={() => navigate(backUrl)}
-        onSave={onSave}
-        appBridgeApiKey={appBridgeApiKey}
-        // actionData is available if you later want to show a Polaris toast
-        // saveSuccess={actionData?.ok === true}
-      />
+      <BlockStack gap="400">
+        <SaveErrorBanner actionData={actionData} />
+        <ShippingChartEditorForm
+          mode="edit"
+          chart={chart}
+          shippingServiceOptions={shippingServiceOptions}
+          zoneOptions={loaderData?.zoneOptions || []}
+          saving={saving}
+          onCancel={() => navigate(backUrl)}
+          onSave={onSave}
+          onSimulate={onSimulate}
+          destinationIssues={actionData?.destinationIssues}
+          appBridgeApiKey={appBridgeApiKey}
+          // actionData is available if you later want to show a Polaris toast
+          // saveSuccess={actionData?.ok === true}
+        />
+      </BlockStack>
     </Page>
   );
 }
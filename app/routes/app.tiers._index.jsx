@@ -1,8 +1,8 @@
+import { useEffect, useState } from "react";
 import { useLoaderData, useSubmit, useNavigate, useLocation } from "react-router";
 import {
   Page,
   Card,
-  IndexTable,
   Text,
   Badge,
   Button,
@@ -10,9 +10,12 @@ import {
   InlineStack,
   BlockStack,
   Box,
+  Icon,
 } from "@shopify/polaris";
+import { DragHandleIcon } from "@shopify/polaris-icons";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { refreshRateTable } from "../lib/rateTable.server";
 
 /**
  * Loader: list charts for this shop
@@ -23,7 +26,8 @@ export async function loader({ request }) {
 
   const charts = await prisma.shippingChart.findMany({
     where: { shop },
-    orderBy: [{ priority: "asc" }, { createdAt: "desc" }],
+    // Same order /api/rates evaluates charts in (see lib/rateTable.server.js)
+    orderBy: [{ priority: "desc" }, { createdAt: "desc" }],
   });
 
   // ✅ include shop so we can build an admin/settings link
@@ -31,7 +35,8 @@ export async function loader({ request }) {
 }
 
 /**
- * Action: toggle active, delete chart (+ tiers/selectors)
+ * Action: reorder (sets priority), toggle active,
+ * delete chart (+ tiers/selectors/destination rules/services)
  */
 export async function action({ request }) {
   const { session } = await authenticate.admin(request);
@@ -39,6 +44,40 @@ export async function action({ request }) {
 
   const formData = await request.formData();
   const intent = String(formData.get("intent") || "");
+
+  if (intent === "reorder") {
+    let ids = [];
+    try {
+      ids = JSON.parse(String(formData.get("order") || "[]"));
+    } catch {
+      ids = [];
+    }
+
+    const existing = await prisma.shippingChart.findMany({
+      where: { shop },
+      select: { id: true },
+      orderBy: [{ priority: "desc" }, { createdAt: "desc" }],
+    });
+    const known = new Set(existing.map((c) => c.id));
+    const listed = [...new Set((Array.isArray(ids) ? ids : []).map(String))].filter((id) =>
+      known.has(id)
+    );
+    // Charts missing from the list (created meanwhile) keep their order below it
+    const order = [...listed, ...existing.map((c) => c.id).filter((id) => !listed.includes(id))];
+
+    // Top of the list = highest priority; new charts (priority 0) land at the bottom
+    await prisma.$transaction(
+      order.map((chartId, index) =>
+        prisma.shippingChart.update({
+          where: { id: chartId },
+          data: { priority: order.length - index },
+        })
+      )
+    );
+    await refreshRateTable(shop);
+    return { ok: true };
+  }
+
   const id = String(formData.get("id") || "");
   if (!id) return { ok: false, error: "Missing id" };
 
@@ -53,6 +92,7 @@ export async function action({ request }) {
       where: { id: chart.id },
       data: { isActive: !chart.isActive },
     });
+    await refreshRateTable(shop);
     return { ok: true };
   }
 
@@ -63,10 +103,13 @@ export async function action({ request }) {
         data: {
           tiers: { deleteMany: {} },
           selectors: { deleteMany: {} },
+          destinationRules: { deleteMany: {} },
+          services: { deleteMany: {} },
         },
       }),
       prisma.shippingChart.delete({ where: { id: chart.id } }),
     ]);
+    await refreshRateTable(shop);
     return { ok: true };
   }
 
@@ -74,19 +117,41 @@ export async function action({ request }) {
 }
 
 export default function ShippingChartsIndex() {
-  const { charts, shop } = useLoaderData();
+  const { charts: loadedCharts, shop } = useLoaderData();
   const submit = useSubmit();
   const navigate = useNavigate();
   const location = useLocation();
 
+  // Drag-to-reorder: rows move while dragging, the new order is saved on drop
+  const [charts, setCharts] = useState(loadedCharts);
+  const [draggingId, setDraggingId] = useState(null);
+  useEffect(() => setCharts(loadedCharts), [loadedCharts]);
+
+  const dragOver = (overId) => {
+    if (!draggingId || overId === draggingId) return;
+    setCharts((list) => {
+      const from = list.findIndex((c) => c.id === draggingId);
+      const to = list.findIndex((c) => c.id === overId);
+      if (from < 0 || to < 0) return list;
+      const next = list.slice();
+      next.splice(to, 0, next.splice(from, 1)[0]);
+      return next;
+    });
+  };
+
+  const dragEnd = () => {
+    setDraggingId(null);
+    const order = charts.map((c) => c.id);
+    if (order.join() === loadedCharts.map((c) => c.id).join()) return;
+    submit({ intent: "reorder", order: JSON.stringify(order) }, { method: "post" });
+  };
+
   // Preserve embedded params
   const search = location.search || window.location.search || "";
 
   const goToChart = (chartId) => navigate(`/app/tiers/${chartId}${search}`);
   const goCreate = () => navigate(`/app/tiers/new${search}`);
 
-  const resourceName = { singular: "chart", plural: "charts" };
-
   const emptyStateMarkup = (
     <Box padding="400">
       <BlockStack gap="200">
@@ -109,17 +174,39 @@ export default function ShippingChartsIndex() {
     );
 
     return (
-      <IndexTable.Row id={chart.id} key={chart.id} position={index}>
-        <IndexTable.Cell>
-          <Text as="span" variant="bodyMd" fontWeight="semibold">
-            {chart.name}
-          </Text>
-        </IndexTable.Cell>
+      <div
+        key={chart.id}
+        draggable
+        onDragStart={(e) => {
+          e.dataTransfer.effectAllowed = "move";
+          setDraggingId(chart.id);
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          dragOver(chart.id);
+        }}
+        onDrop={(e) => e.preventDefault()}
+        onDragEnd={dragEnd}
+        style={{ cursor: "grab", opacity: draggingId === chart.id ? 0.5 : 1 }}
+      >
+        <Box
+          paddingBlock="300"
+          paddingInline="400"
+          borderBlockStartWidth={index > 0 ? "025" : "0"}
+          borderColor="border"
+        >
+          <InlineStack align="space-between" blockAlign="center" gap="300" wrap={false}>
+            <InlineStack gap="300" blockAlign="center" wrap={false}>
+              <Icon source={DragHandleIcon} tone="subdued" />
+              <Text as="span" variant="bodySm" tone="subdued">
+                {index + 1}
+              </Text>
+              <Text as="span" variant="bodyMd" fontWeight="semibold">
+                {chart.name}
+              </Text>
+              {statusBadge}
+            </InlineStack>
 
-        <IndexTable.Cell>{statusBadge}</IndexTable.Cell>
-
-        <IndexTable.Cell>
-          <InlineStack gap="200" align="end">
             <ButtonGroup>
               <Button
                 onClick={(e) => {
@@ -147,7 +234,7 @@ export default function ShippingChartsIndex() {
                   e.preventDefault();
                   e.stopPropagation();
                   const ok = window.confirm(
-                    `Delete "${chart.name}"?\n\nThis will permanently delete:\n• the chart\n• all tiers\n• all selectors\n\nThis cannot be undone.`,
+                    `Delete "${chart.name}"?\n\nThis will permanently delete:\n• the chart\n• all tiers\n• all selectors, destination rules and services\n\nThis cannot be undone.`,
                   );
                   if (!ok) return;
                   submit({ intent: "delete-chart", id: chart.id }, { method: "post" });
@@ -157,8 +244,8 @@ export default function ShippingChartsIndex() {
               </Button>
             </ButtonGroup>
           </InlineStack>
-        </IndexTable.Cell>
-      </IndexTable.Row>
+        </Box>
+      </div>
     );
   });
 
@@ -168,22 +255,19 @@ export default function ShippingChartsIndex() {
       primaryAction={{ content: "Create chart", onAction: goCreate }}
     >
       <BlockStack gap="400">
-        <Card>
+        <Card padding="0">
           {charts.length === 0 ? (
             emptyStateMarkup
           ) : (
-            <IndexTable
-              resourceName={resourceName}
-              itemCount={charts.length}
-              selectable={false}
-              headings={[
-                { title: "Chart" },
-                { title: "Status" },
-                { title: "Actions" },
-              ]}
-            >
+            <BlockStack>
+              <Box padding="400" paddingBlockEnd="200">
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Drag charts to set their priority: checkout evaluates them top to bottom.
+                  How matching charts combine is set in Settings.
+                </Text>
+              </Box>
               {rowMarkup}
-            </IndexTable>
+            </BlockStack>
           )}
         </Card>
 
@@ -197,7 +281,8 @@ export default function ShippingChartsIndex() {
             <Text as="p" variant="bodyMd" tone="subdued">
               Shopify may automatically enable this app’s calculated rates in existing shipping
               zones. Review Shopify Shipping and delivery profiles to ensure each chart is only
-              enabled in the zones you intend.
+              enabled in the zones you intend. Each chart’s Destinations settings can also limit
+              which countries, provinces or postal codes it is offered to.
             </Text>
 
             <Text as="p" variant="bodySm">
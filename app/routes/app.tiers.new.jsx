@@ -1,5 +1,5 @@
 import { useEffect, useMemo, useState } from "react";
-import { Page } from "@shopify/polaris";
+import { Banner, BlockStack, Page } from "@shopify/polaris";
 import {
   useActionData,
   useLoaderData,
@@ -10,6 +10,15 @@ import {
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
 import { ShippingChartEditorForm } from "../components/ShippingChartEditorForm";
+import { refreshRateTable } from "../lib/rateTable.server";
+import { syncProductIndexForShop } from "../lib/productIndexSync.server";
+import { indexedSelectorKeys } from "../lib/selectorEngine.server";
+import { buildServiceCodeOptions } from "../lib/chartServices.server";
+import {
+  chartPayloadFromFormData,
+  parseChartEditorPayload,
+} from "../lib/chartEditorPayload.server";
+import { zoneOptionsFromSnapshot } from "../lib/rateMatrix.server";
 import fs from "node:fs/promises";
 import path from "node:path";
 
@@ -27,7 +36,11 @@ async function getAppBridgeApiKey() {
 }
 
 export async function loader({ request }) {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shop: session.shop },
+    select: { zonesSnapshotJson: true, servicesSnapshotJson: true },
+  });
 
   const appBridgeApiKey = await getAppBridgeApiKey();
 
@@ -35,132 +48,129 @@ export async function loader({ request }) {
       id: null,
       name: "",
       isActive: true,
+      chartType: "TIERED",
+      basisType: "MERCHANDISE_PRE_DISCOUNT",
+      weightUnit: "LB",
+      requireAllItemsMatch: false,
       defaultServiceCode: "",
       handlingFee: 0,
+      maxRate: null,
+      capPercentOfMax: 90,
       tiers: [],
+      destinationRules: [],
+      matrixRegions: [],
+      services: [],
+      selectors: [],
+      handlingDays: null,
+      transitDaysMin: null,
+      transitDaysMax: null,
+      descriptionTemplate: "",
+      freeShippingThreshold: null,
+      fallbackRate: null,
     };
 
 
   return {
     chart,
-    shippingServiceOptions: [],
+    shippingServiceOptions: buildServiceCodeOptions({
+      servicesSnapshotJson: settings?.servicesSnapshotJson,
+    }),
+    zoneOptions: zoneOptionsFromSnapshot(settings?.zonesSnapshotJson),
     appBridgeApiKey,
   };
 }
 
-function toCentsOrNull(amount) {
-  if (amount == null) return null;
-  const n = Number(amount);
-  if (!Number.isFinite(n)) return null;
-  return Math.round(n * 100);
-}
-
-function makeTierName({ minCents, maxCents, priceType, flatPriceCents, percentBps }) {
-  const min = minCents == null ? null : (minCents / 100).toFixed(2);
-  const max = maxCents == null ? null : (maxCents / 100).toFixed(2);
-
-  const range =
-    maxCents == null
-      ? `$${min}+`
-      : `$${min}–$${max}`;
-
-  if (priceType === "PERCENT_OF_BASIS") {
-    const pct = percentBps == null ? "0" : (percentBps / 100).toString();
-    return `${range} @ ${pct}%`;
-  }
-
-  const flat = flatPriceCents == null ? "0.00" : (flatPriceCents / 100).toFixed(2);
-  return `${range} → $${flat}`;
-}
-
 export async function action({ request }) {
-  const { session } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   const shop = session.shop;
 
   const formData = await request.formData();
-
-  const name = String(formData.get("name") || "").trim();
-  const isActive = String(formData.get("isActive") || "true") === "true";
-  const tiersJson = String(formData.get("tiers") || "[]");
-  const handlingFee = String(formData.get("handlingFee") || "0");
-  const defaultServiceCode = String(formData.get("defaultServiceCode") || "");
-
-  if (!name) return { ok: false, fieldErrors: { name: "Name is required" } };
-
-
-  let tiers = [];
-  try {
-    tiers = JSON.parse(tiersJson) || [];
-  } catch {
-    tiers = [];
+  const parsed = parseChartEditorPayload(chartPayloadFromFormData(formData));
+  if (!parsed.data.name) return { ok: false, fieldErrors: { name: "Name is required" } };
+  if (!parsed.ok) {
+    return {
+      ok: false,
+      error: "Fix these errors before saving.",
+      tierIssues: parsed.tierIssues,
+      destinationIssues: parsed.destinationIssues,
+    };
   }
+  const selectors = parsed.selectors ?? [];
 
-    const tierCreates = (tiers || [])
-    .map((t, idx) => {
-      const minCents = toCentsOrNull(t?.minValue);
-      const maxCents = toCentsOrNull(t?.maxValue);
-
-      const priceType =
-        t?.rateType === "PERCENT" ? "PERCENT_OF_BASIS" : "FLAT";
-
-      const flatPriceCents =
-        priceType === "FLAT" ? toCentsOrNull(t?.rateValue) : null;
-
-      // percentBps = percent * 100 (e.g. 6% => 600 bps)
-      const percentBps =
-        priceType === "PERCENT_OF_BASIS"
-          ? Math.round(Number(t?.rateValue ?? 0) * 100)
-          : null;
-
-      const sortOrder = Number.isFinite(Number(t?.priority))
-        ? Number(t.priority)
-        : idx;
-
-      const tier = {
-        name: makeTierName({
-          minCents,
-          maxCents,
-          priceType,
-          flatPriceCents,
-          percentBps,
-        }),
-        minCents: minCents ?? 0,
-        maxCents,
-        priceType,
-        flatPriceCents,
-        percentBps,
-        serviceCode: null,
-        isActive: true,
-        sortOrder,
-      };
-
-      return tier;
-    })
-    .filter((t) => {
-      const hasAnyRange = t.minCents != null || t.maxCents != null;
-      const hasRate =
-        (t.priceType === "PERCENT_OF_BASIS" && t.percentBps != null) ||
-        (t.priceType === "FLAT" && t.flatPriceCents != null);
-      return hasAnyRange && hasRate;
-    });
-
-    const created = await prisma.shippingChart.create({
+  const created = await prisma.shippingChart.create({
     data: {
-      defaultServiceCode,
+      ...parsed.data,
       shop,
-      name,
-      isActive,
-      handlingFeeCents: toCentsOrNull(handlingFee) ?? 0,
       tiers: {
-        create: tierCreates,
-  },
+        create: parsed.tiers,
+      },
+      destinationRules: {
+        create: parsed.destinationRules,
+      },
+      services: {
+        create: parsed.services,
+      },
+      selectors: {
+        create: selectors,
+      },
     },
     select: { id: true },
   });
 
+  // New tag/collection selectors only match once the product index includes them
+  if (indexedSelectorKeys(selectors).length) {
+    await syncProductIndexAfterSave(shop, admin);
+  }
+
+  await refreshRateTable(shop);
   return { ok: true, id: created.id };
 }
 
+// Errors are recorded on ShopSettings (shown in Settings); the chart save still succeeds
+async function syncProductIndexAfterSave(shop, admin) {
+  try {
+    await syncProductIndexForShop({
+      shop,
+      adminGraphql: async (query, variables) => {
+        const res = await admin.graphql(query, { variables });
+        const json = await res.json();
+        if (json?.errors?.length) {
+          throw new Error(`Admin GraphQL errors: ${JSON.stringify(json.errors)}`);
+        }
+        return json;
+      },
+    });
+  } catch (err) {
+    console.error("[tiers] product index sync failed", { shop, error: String(err) });
+  }
+}
+
+function SaveErrorBanner({ actionData }) {
+  if (actionData?.ok !== false) return null;
+  const issues = [
+    ...(actionData.tierIssues || []),
+    ...(actionData.destinationIssues || []).map((i) => ({ ...i, destination: true })),
+  ];
+  return (
+    <Banner
+      tone="critical"
+      title={actionData.error || actionData.fieldErrors?.name || "Chart not saved"}
+    >
+      {issues.length ? (
+        <ul>
+          {issues.map((issue, i) => (
+            <li key={i}>
+              {issue.destination ? "Destinations: " : ""}
+              {issue.tierIndex == null ? "" : `Tier ${issue.tierIndex + 1}: `}
+              {issue.message}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </Banner>
+  );
+}
+
 export default function CreateShippingChartPage() {
   const submit = useSubmit();
   const navigate = useNavigate();
@@ -187,14 +197,42 @@ export default function CreateShippingChartPage() {
     [loaderData]
   );
 
+  // Unsaved edits go to the simulator through sessionStorage (see app.simulator.jsx)
+  const onSimulate = (payload) => {
+    window.sessionStorage.setItem("rateSimulatorDraft", JSON.stringify({ chartId: null, payload }));
+    navigate(cleaned ? `/app/simulator?${cleaned}` : "/app/simulator");
+  };
+
   const onSave = (payload) => {
     setSaving(true);
 
     const fd = new FormData();
     fd.set("name", payload?.name || "");
     fd.set("isActive", payload?.isActive ? "true" : "false");
+    fd.set("basisType", String(payload?.basisType || "MERCHANDISE_PRE_DISCOUNT"));
+    fd.set("weightUnit", String(payload?.weightUnit || "LB"));
+    fd.set("chartType", String(payload?.chartType || "TIERED"));
+    fd.set("matrixRegions", JSON.stringify(payload?.matrixRegions || []));
+    fd.set("services", JSON.stringify(payload?.services || []));
+    fd.set("selectors", JSON.stringify(payload?.selectors || []));
+    fd.set("handlingDays", String(payload?.handlingDays ?? ""));
+    fd.set("transitDaysMin", String(payload?.transitDaysMin ?? ""));
+    fd.set("transitDaysMax", String(payload?.transitDaysMax ?? ""));
+    fd.set("descriptionTemplate", String(payload?.descriptionTemplate ?? ""));
+    fd.set(
+      "freeShippingThreshold",
+      payload?.freeShippingThreshold == null ? "" : String(payload.freeShippingThreshold)
+    );
+    fd.set("fallbackRate", payload?.fallbackRate == null ? "" : String(payload.fallbackRate));
+    fd.set(
+      "requireAllItemsMatch",
+      payload?.requireAllItemsMatch ? "true" : "false"
+    );
     fd.set("tiers", JSON.stringify(payload?.tiers || []));
+    fd.set("destinationRules", JSON.stringify(payload?.destinationRules || []));
     fd.set("handlingFee", String(payload?.handlingFee ?? 0));
+    fd.set("maxRate", payload?.maxRate == null ? "" : String(payload.maxRate));
+    fd.set("capPercentOfMax", String(payload?.capPercentOfMax ?? 90));
     fd.set("defaultServiceCode", String(payload?.defaultServiceCode || ""));
     submit(fd, { method: "post" });
   };
@@ -203,7 +241,7 @@ export default function CreateShippingChartPage() {
   if (actionData?.ok !== undefined) {
     setSaving(false);
   }
-}, [actionData?.ok]);
+}, [actionData]);
 
     // After create, return to the charts list (Home)
   useEffect(() => {
@@ -217,15 +255,21 @@ export default function CreateShippingChartPage() {
       title="Create Shipping Chart"
       backAction={{ content: "Shipping Charts", url: backUrl }}
     >
-      <ShippingChartEditorForm
-        mode="create"
-        chart={chart}
-        shippingServiceOptions={shippingServiceOptions}
-        saving={saving}
-        onCancel={() => navigate(backUrl)}
-        onSave={onSave}
-        appBridgeApiKey={appBridgeApiKey}
-      />
+      <BlockStack gap="400">
+        <SaveErrorBanner actionData={actionData} />
+        <ShippingChartEditorForm
+          mode="create"
+          chart={chart}
+          shippingServiceOptions={shippingServiceOptions}
+          zoneOptions={loaderData?.zoneOptions || []}
+          saving={saving}
+          onCancel={() => navigate(backUrl)}
+          onSave={onSave}
+          onSimulate={onSimulate}
+          destinationIssues={actionData?.destinationIssues}
+          appBridgeApiKey={appBridgeApiKey}
+        />
+      </BlockStack>
     </Page>
   );
 }
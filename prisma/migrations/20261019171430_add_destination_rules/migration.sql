@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "ShippingDestinationRule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "chartId" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "ShippingDestinationRule_chartId_fkey" FOREIGN KEY ("chartId") REFERENCES "ShippingChart" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ShippingDestinationRule_chartId_mode_idx" ON "ShippingDestinationRule"("chartId", "mode");
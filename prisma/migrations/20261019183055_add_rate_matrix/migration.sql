@@ -0,0 +1,50 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_ShippingChart" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "chartType" TEXT NOT NULL DEFAULT 'TIERED',
+    "basisType" TEXT NOT NULL DEFAULT 'MERCHANDISE_PRE_DISCOUNT',
+    "weightUnit" TEXT NOT NULL DEFAULT 'LB',
+    "requireAllItemsMatch" BOOLEAN NOT NULL DEFAULT false,
+    "capPercentOfMax" INTEGER NOT NULL DEFAULT 90,
+    "maxRateCents" INTEGER,
+    "handlingFeeCents" INTEGER NOT NULL DEFAULT 0,
+    "defaultServiceCode" TEXT NOT NULL DEFAULT '',
+    "matrixRegionsJson" TEXT NOT NULL DEFAULT '[]',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_ShippingChart" ("basisType", "capPercentOfMax", "createdAt", "defaultServiceCode", "handlingFeeCents", "id", "isActive", "maxRateCents", "name", "priority", "requireAllItemsMatch", "shop", "updatedAt", "weightUnit") SELECT "basisType", "capPercentOfMax", "createdAt", "defaultServiceCode", "handlingFeeCents", "id", "isActive", "maxRateCents", "name", "priority", "requireAllItemsMatch", "shop", "updatedAt", "weightUnit" FROM "ShippingChart";
+DROP TABLE "ShippingChart";
+ALTER TABLE "new_ShippingChart" RENAME TO "ShippingChart";
+CREATE INDEX "ShippingChart_shop_isActive_idx" ON "ShippingChart"("shop", "isActive");
+CREATE INDEX "ShippingChart_shop_priority_idx" ON "ShippingChart"("shop", "priority");
+CREATE TABLE "new_ShippingTier" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "chartId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "minCents" INTEGER NOT NULL DEFAULT 0,
+    "maxCents" INTEGER,
+    "priceType" TEXT NOT NULL DEFAULT 'FLAT',
+    "flatPriceCents" INTEGER,
+    "percentBps" INTEGER,
+    "matrixRatesJson" TEXT NOT NULL DEFAULT '{}',
+    "serviceCode" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ShippingTier_chartId_fkey" FOREIGN KEY ("chartId") REFERENCES "ShippingChart" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_ShippingTier" ("chartId", "createdAt", "flatPriceCents", "id", "isActive", "maxCents", "minCents", "name", "percentBps", "priceType", "serviceCode", "sortOrder", "updatedAt") SELECT "chartId", "createdAt", "flatPriceCents", "id", "isActive", "maxCents", "minCents", "name", "percentBps", "priceType", "serviceCode", "sortOrder", "updatedAt" FROM "ShippingTier";
+DROP TABLE "ShippingTier";
+ALTER TABLE "new_ShippingTier" RENAME TO "ShippingTier";
+CREATE INDEX "ShippingTier_chartId_isActive_idx" ON "ShippingTier"("chartId", "isActive");
+CREATE INDEX "ShippingTier_chartId_sortOrder_idx" ON "ShippingTier"("chartId", "sortOrder");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "ShippingService" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "chartId" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "multiplierBps" INTEGER NOT NULL DEFAULT 10000,
+    "surchargeCents" INTEGER NOT NULL DEFAULT 0,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ShippingService_chartId_fkey" FOREIGN KEY ("chartId") REFERENCES "ShippingChart" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ShippingService_chartId_sortOrder_idx" ON "ShippingService"("chartId", "sortOrder");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShippingService_chartId_code_key" ON "ShippingService"("chartId", "code");
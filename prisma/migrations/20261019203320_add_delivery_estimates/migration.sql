@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "ShippingChart" ADD COLUMN "handlingDays" INTEGER;
+ALTER TABLE "ShippingChart" ADD COLUMN "transitDaysMax" INTEGER;
+ALTER TABLE "ShippingChart" ADD COLUMN "transitDaysMin" INTEGER;
+
+-- AlterTable
+ALTER TABLE "ShippingService" ADD COLUMN "handlingDays" INTEGER;
+ALTER TABLE "ShippingService" ADD COLUMN "transitDaysMax" INTEGER;
+ALTER TABLE "ShippingService" ADD COLUMN "transitDaysMin" INTEGER;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_ShopSettings" (
+    "volumePricingConfigJson" TEXT NOT NULL DEFAULT '{}',
+    "volumeEligibilitySnapshotJson" TEXT NOT NULL DEFAULT '{}',
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "managedZoneIdsJson" TEXT NOT NULL DEFAULT '[]',
+    "managedZoneConfigJson" TEXT NOT NULL DEFAULT '[]',
+    "zonesSnapshotJson" TEXT NOT NULL DEFAULT '{}',
+    "servicesSnapshotJson" TEXT NOT NULL DEFAULT '{}',
+    "lastSyncedAt" DATETIME,
+    "lastSyncError" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "managedServiceIdsJson" TEXT DEFAULT '[]',
+    "volumeDiscountLabel" TEXT NOT NULL DEFAULT 'Volume Pricing',
+    "volumePricingSnapshotJson" TEXT NOT NULL DEFAULT '{}',
+    "volumePricingSnapshotVersion" INTEGER NOT NULL DEFAULT 1,
+    "volumePricingLastSyncedAt" DATETIME,
+    "volumePricingLastSyncError" TEXT,
+    "productIndexSnapshotJson" TEXT NOT NULL DEFAULT '{}',
+    "productIndexLastSyncedAt" DATETIME,
+    "productIndexLastSyncError" TEXT,
+    "deliveryCalendarJson" TEXT NOT NULL DEFAULT '{}'
+);
+INSERT INTO "new_ShopSettings" ("createdAt", "id", "lastSyncError", "lastSyncedAt", "managedServiceIdsJson", "managedZoneConfigJson", "managedZoneIdsJson", "productIndexLastSyncError", "productIndexLastSyncedAt", "productIndexSnapshotJson", "servicesSnapshotJson", "shop", "updatedAt", "volumeDiscountLabel", "volumeEligibilitySnapshotJson", "volumePricingConfigJson", "volumePricingLastSyncError", "volumePricingLastSyncedAt", "volumePricingSnapshotJson", "volumePricingSnapshotVersion", "zonesSnapshotJson") SELECT "createdAt", "id", "lastSyncError", "lastSyncedAt", "managedServiceIdsJson", "managedZoneConfigJson", "managedZoneIdsJson", "productIndexLastSyncError", "productIndexLastSyncedAt", "productIndexSnapshotJson", "servicesSnapshotJson", "shop", "updatedAt", "volumeDiscountLabel", "volumeEligibilitySnapshotJson", "volumePricingConfigJson", "volumePricingLastSyncError", "volumePricingLastSyncedAt", "volumePricingSnapshotJson", "volumePricingSnapshotVersion", "zonesSnapshotJson" FROM "ShopSettings";
+DROP TABLE "ShopSettings";
+ALTER TABLE "new_ShopSettings" RENAME TO "ShopSettings";
+CREATE UNIQUE INDEX "ShopSettings_shop_key" ON "ShopSettings"("shop");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
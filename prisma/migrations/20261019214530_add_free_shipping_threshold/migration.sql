@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ShippingChart" ADD COLUMN "freeShippingThresholdCents" INTEGER;
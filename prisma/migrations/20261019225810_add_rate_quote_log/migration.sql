@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "RateQuoteLog" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "destCountry" TEXT NOT NULL DEFAULT '',
+    "destProvince" TEXT NOT NULL DEFAULT '',
+    "destPostal" TEXT NOT NULL DEFAULT '',
+    "itemCount" INTEGER NOT NULL DEFAULT 0,
+    "merchCents" INTEGER NOT NULL DEFAULT 0,
+    "basisCents" INTEGER NOT NULL DEFAULT 0,
+    "outcome" TEXT NOT NULL DEFAULT 'RATES',
+    "rateCount" INTEGER NOT NULL DEFAULT 0,
+    "minPriceCents" INTEGER,
+    "maxPriceCents" INTEGER,
+    "itemsJson" TEXT NOT NULL DEFAULT '[]',
+    "ratesJson" TEXT NOT NULL DEFAULT '[]',
+    "warningsJson" TEXT NOT NULL DEFAULT '[]',
+    "traceJson" TEXT NOT NULL DEFAULT '{}',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "RateQuoteLog_shop_createdAt_idx" ON "RateQuoteLog"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RateQuoteLog_shop_destCountry_destProvince_idx" ON "RateQuoteLog"("shop", "destCountry", "destProvince");